@@ -2,6 +2,11 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const routes = require('./routes');
+const { resumePendingJobs } = require('./services/transfer-engine');
+const { resumeRuns } = require('./services/bulk-service');
+const Logger = require('./utils/Logger');
+
+const logger = new Logger({ component: 'app' });
 
 const { PORT: port } = process.env;
 const app = express();
@@ -9,7 +14,9 @@ const app = express();
 app.use(bodyParser.json());
 app.use(routes);
 app.listen(port, () => {
-  console.log(`Transform text integration listening on port ${port}`)
+  logger.info(`Transform text integration listening on port ${port}`)
+  resumePendingJobs();
+  resumeRuns();
 });
 
 module.exports = app;
@@ -1,6 +1,25 @@
 const OPERATION_TYPES = [
-    { title: 'Copy', value: 'COPY' },
-    { title: 'Move', value: 'MOVE' },
-  ];
-  
-  module.exports = { OPERATION_TYPES };
\ No newline at end of file
+  { title: 'Copy', value: 'COPY' },
+  { title: 'Move', value: 'MOVE' },
+];
+
+const DUPLICATE_MODES = [
+  { title: 'Always upload', value: 'OFF' },
+  { title: 'Skip duplicates', value: 'SKIP' },
+  { title: 'Overwrite duplicates', value: 'OVERWRITE' },
+  { title: 'Keep both (add suffix)', value: 'KEEP_BOTH' },
+];
+
+const DUPLICATE_MATCHES = [
+  { title: 'Name and size', value: 'NAME_SIZE' },
+  { title: 'File content', value: 'HASH' },
+];
+
+const SUMMARY_MODES = [
+  { title: 'No summary', value: 'OFF' },
+  { title: 'Notification', value: 'NOTIFICATION' },
+  { title: 'Update on the item', value: 'UPDATE' },
+  { title: 'Notification and update', value: 'BOTH' },
+];
+
+module.exports = { OPERATION_TYPES, DUPLICATE_MODES, DUPLICATE_MATCHES, SUMMARY_MODES };
@@ -0,0 +1,101 @@
+const transferEngine = require('../services/transfer-engine');
+const policyService = require('../services/policy-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'admin-controller' });
+
+const { circuitBreaker } = transferEngine;
+
+const listCircuitBreakers = (req, res) => {
+  try {
+    const breakers = circuitBreaker.getStates().map(({ key, status, failures, lastFailure, remainingMs }) => ({
+      key,
+      status,
+      failures,
+      lastFailure,
+      remainingMs,
+    }));
+    return res.status(200).send({ breakers });
+  } catch (err) {
+    logger.error('Admin request failed', err);
+    return res.status(500).send({ message: 'internal server error' });
+  }
+};
+
+const resetCircuitBreaker = (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!circuitBreaker.monitors.has(key)) {
+      return res.status(404).send({ message: 'Circuit breaker not found' });
+    }
+
+    circuitBreaker.reset(key);
+    return res.status(200).send({ success: true, key, status: 'CLOSED' });
+  } catch (err) {
+    logger.error('Admin request failed', err);
+    return res.status(500).send({ message: 'internal server error' });
+  }
+};
+
+const openCircuitBreaker = (req, res) => {
+  try {
+    const { key } = req.params;
+    const durationMs = req.body?.durationMs === undefined ? undefined : Number(req.body.durationMs);
+    if (durationMs !== undefined && !(durationMs > 0)) {
+      return res.status(400).send({ message: 'durationMs must be a positive number' });
+    }
+
+    circuitBreaker.forceOpen(key, durationMs);
+    const breaker = circuitBreaker.getStates().find((state) => state.key === key);
+    return res.status(200).send({ success: true, key, status: breaker.status, remainingMs: breaker.remainingMs });
+  } catch (err) {
+    logger.error('Admin request failed', err);
+    return res.status(500).send({ message: 'internal server error' });
+  }
+};
+
+const listFilePolicies = (req, res) => {
+  try {
+    return res.status(200).send({ policies: policyService.listPolicies({ accountId: req.query.accountId }) });
+  } catch (err) {
+    logger.error('Admin request failed', err);
+    return res.status(500).send({ message: 'internal server error' });
+  }
+};
+
+// Without a recipe in the path the policy applies to every recipe of the account
+const setFilePolicy = (req, res) => {
+  try {
+    const { accountId, recipe } = req.params;
+    const policy = policyService.setPolicy({ accountId, recipe, allow: req.body?.allow, deny: req.body?.deny });
+    return res.status(200).send({ success: true, policy });
+  } catch (err) {
+    if (err.code === 'INVALID_POLICY') {
+      return res.status(400).send({ message: err.message });
+    }
+    logger.error('Admin request failed', err);
+    return res.status(500).send({ message: 'internal server error' });
+  }
+};
+
+const deleteFilePolicy = (req, res) => {
+  try {
+    const { accountId, recipe } = req.params;
+    if (!policyService.deletePolicy(accountId, recipe)) {
+      return res.status(404).send({ message: 'File policy not found' });
+    }
+    return res.status(200).send({ success: true });
+  } catch (err) {
+    logger.error('Admin request failed', err);
+    return res.status(500).send({ message: 'internal server error' });
+  }
+};
+
+module.exports = {
+  listCircuitBreakers,
+  resetCircuitBreaker,
+  openCircuitBreaker,
+  listFilePolicies,
+  setFilePolicy,
+  deleteFilePolicy,
+};
@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const Logger = require('../utils/Logger');
 // const TokenService = require('../services/token-service');
 
+const logger = new Logger({ component: 'authentication' });
+
 async function authenticationMiddleware(req, res, next) {
   try {
     let { authorization } = req.headers;
@@ -12,13 +16,51 @@ async function authenticationMiddleware(req, res, next) {
       process.env.MONDAY_SIGNING_SECRET
     );
     req.session = { accountId, userId, backToUrl, shortLivedToken };
-    next();
+
+    // Everything logged for this request, including its queued work and file transfers, carries this id
+    const correlationId = Logger.newCorrelationId();
+    res.set('X-Correlation-Id', correlationId);
+    Logger.runWithContext({ correlationId, accountId, userId }, next);
   } catch (err) {
-    console.error(err);
+    logger.error('Request authentication failed', err);
     res.status(500).json({ error: 'not authenticated' });
   }
 }
 
+// Admin routes are not called by monday, so they use a shared key instead of a monday JWT
+function adminAuthenticationMiddleware(req, res, next) {
+  const { ADMIN_API_KEY } = process.env;
+  if (!ADMIN_API_KEY) {
+    return res.status(403).json({ error: 'admin API is disabled' });
+  }
+
+  const { authorization } = req.headers;
+  const key = req.headers['x-admin-key'] || (authorization?.startsWith('Bearer ') ? authorization.slice(7) : null);
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const given = Buffer.from(key || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'not authenticated' });
+  }
+  next();
+}
+
+// Webhooks the app created are signed by monday with the app's signing secret
+function webhookAuthenticationMiddleware(req, res, next) {
+  try {
+    const authorization = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    jwt.verify(authorization, process.env.MONDAY_SIGNING_SECRET);
+  } catch (err) {
+    logger.warn('Rejected webhook request with an invalid signature', err);
+    return res.status(401).json({ error: 'not authenticated' });
+  }
+
+  const correlationId = req.body?.event?.triggerUuid || Logger.newCorrelationId();
+  res.set('X-Correlation-Id', correlationId);
+  Logger.runWithContext({ correlationId, syncRuleId: req.query.rule }, next);
+}
+
 module.exports = {
   authenticationMiddleware,
+  adminAuthenticationMiddleware,
+  webhookAuthenticationMiddleware,
 };
@@ -0,0 +1,16 @@
+const router = require('express').Router();
+const { adminAuthenticationMiddleware } = require('../middlewares/authentication');
+const adminController = require('../controllers/admin-controller');
+
+router.get('/admin/circuit-breakers', adminAuthenticationMiddleware, adminController.listCircuitBreakers);
+router.post('/admin/circuit-breakers/:key/reset', adminAuthenticationMiddleware, adminController.resetCircuitBreaker);
+router.post('/admin/circuit-breakers/:key/open', adminAuthenticationMiddleware, adminController.openCircuitBreaker);
+router.get('/admin/file-policies', adminAuthenticationMiddleware, adminController.listFilePolicies);
+router.put('/admin/file-policies/:accountId/:recipe?', adminAuthenticationMiddleware, adminController.setFilePolicy);
+router.delete(
+  '/admin/file-policies/:accountId/:recipe?',
+  adminAuthenticationMiddleware,
+  adminController.deleteFilePolicy
+);
+
+module.exports = router;
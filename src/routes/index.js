@@ -1,7 +1,10 @@
 const router = require('express').Router();
 const mondayRoutes = require('./monday');
+const adminRoutes = require('./admin');
+const { renderMetrics } = require('../services/metrics-service');
 
 router.use(mondayRoutes);
+router.use(adminRoutes);
 
 router.get('/', function (req, res) {
   res.json(getHealth());
@@ -12,6 +15,16 @@ router.get('/health', function (req, res) {
   res.end();
 });
 
+router.get('/metrics', function (req, res) {
+  const { METRICS_TOKEN } = process.env;
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).send('Unauthorized');
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
 function getHealth() {
   return {
     ok: true,
@@ -1,40 +1,96 @@
-const mondaySdk = require('monday-sdk-js');
 const jwt = require('jsonwebtoken');
-const monday = mondaySdk();
 const router = require('express').Router();
-const { authenticationMiddleware } = require('../middlewares/authentication');
+const { authenticationMiddleware, webhookAuthenticationMiddleware } = require('../middlewares/authentication');
 const mondayController = require('../controllers/monday-controller');
-const { SecureStorage } = require('@mondaycom/apps-sdk');
- 
-const secureStorage = new SecureStorage(process.env.MONDAY_API_TOKEN);
+const TokenService = require('../services/token-service');
+const OAuthService = require('../services/oauth-service');
+const reauthService = require('../services/reauth-service');
+const transferEngine = require('../services/transfer-engine');
+const bulkService = require('../services/bulk-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'monday-routes' });
 
 router.post('/monday/copy_move_file_column', authenticationMiddleware, mondayController.copyFileFromColumnToColumn);
 router.post('/monday/copy_move_file_item', authenticationMiddleware, mondayController.copyFileFromItemToItem);
 router.post('/monday/copy_move_file_board', authenticationMiddleware, mondayController.copyFileFromBoardToBoard);
 router.post('/monday/get_file_columns', authenticationMiddleware, mondayController.getFileColumnsFromBoard);
 router.post('/monday/update_column_copy', authenticationMiddleware, mondayController.copyFileFromUpdateToItem);
+router.post('/monday/update_scan_copy', authenticationMiddleware, mondayController.copyFilesFromItemUpdates);
+router.post('/monday/column_update_copy', authenticationMiddleware, mondayController.copyFilesToUpdate);
 router.post('/monday/get_options', authenticationMiddleware, mondayController.handleGetRemoteListOptions);
+router.post('/monday/get_duplicate_modes', authenticationMiddleware, mondayController.handleGetDuplicateModeOptions);
+router.post('/monday/get_duplicate_matches', authenticationMiddleware, mondayController.handleGetDuplicateMatchOptions);
+router.post('/monday/get_summary_modes', authenticationMiddleware, mondayController.handleGetSummaryModeOptions);
+router.get('/monday/jobs', authenticationMiddleware, mondayController.listJobs);
+router.get('/monday/jobs/:id', authenticationMiddleware, mondayController.getJobStatus);
+router.post('/monday/bulk_copy_move', authenticationMiddleware, mondayController.startBulkCopyMove);
+router.get('/monday/bulk', authenticationMiddleware, mondayController.listBulkRuns);
+router.get('/monday/bulk/:id', authenticationMiddleware, mondayController.getBulkRun);
+router.post('/monday/bulk/:id/resume', authenticationMiddleware, mondayController.resumeBulkRun);
+router.post('/monday/bulk/:id/cancel', authenticationMiddleware, mondayController.cancelBulkRun);
+router.post('/monday/sync-rules', authenticationMiddleware, mondayController.createSyncRule);
+router.get('/monday/sync-rules', authenticationMiddleware, mondayController.listSyncRules);
+router.delete('/monday/sync-rules/:id', authenticationMiddleware, mondayController.deleteSyncRule);
+router.post('/monday/webhook', webhookAuthenticationMiddleware, mondayController.handleWebhook);
+
+// Reconnect links expire, so a bad or stale token is answered instead of crashing the handler
+const verifyLinkToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.MONDAY_SIGNING_SECRET);
+  } catch (err) {
+    logger.warn('Rejected an invalid or expired auth link', err);
+    return null;
+  }
+};
+
+// Jobs started by a sync rule, and actions that came without one, have no backToUrl to return to
+const finishReconnect = (res, backToUrl) =>
+  backToUrl
+    ? res.redirect(backToUrl)
+    : res.status(200).send({ message: 'The app is reconnected. You can close this page.' });
 
 router.get('/auth', async (req, res) => {
   const { token } = req.query;
-  const { userId, accountId, backToUrl } = jwt.verify(token, process.env.MONDAY_SIGNING_SECRET);
-  const accessToken = await secureStorage.get(userId);
-  if (accessToken) {
-    return res.redirect(backToUrl); 
-  } else {
-    const authUrl = `https://auth.monday.com/oauth2/authorize?client_id=${process.env.CLIENT_ID}&state=${token}`;
-console.log("TEEEEEEEEEEE",process.env.CLIENT_ID);
+  if (!token) {
+    return res.status(400).send({ message: 'Missing token' });
+  }
+  const context = verifyLinkToken(token);
+  if (!context) {
+    return res.status(401).send({ message: 'This link is invalid or has expired' });
+  }
 
-    res.redirect(authUrl);
+  // A token that can no longer be refreshed sends the user through OAuth again
+  const accessToken = await TokenService.getToken(context.userId).catch(() => null);
+  if (accessToken) {
+    return finishReconnect(res, context.backToUrl);
   }
+  const authUrl = `https://auth.monday.com/oauth2/authorize?client_id=${process.env.CLIENT_ID}&state=${token}`;
+  return res.redirect(authUrl);
 });
 
 router.get('/oauth/callback', async (req, res) => {
   const { code, state } = req.query;
-  const { userId, accountId, backToUrl } = jwt.verify(state, process.env.MONDAY_SIGNING_SECRET);
-  const token = await monday.oauthToken(code, process.env.CLIENT_ID, process.env.CLIENT_SECRET);
-  await secureStorage.set(userId, token.access_token);
-  res.redirect(backToUrl);
+  if (!code || !state) {
+    return res.status(400).send({ message: 'Missing code or state' });
+  }
+  const context = verifyLinkToken(state);
+  if (!context) {
+    return res.status(401).send({ message: 'This link is invalid or has expired' });
+  }
+
+  try {
+    const token = await OAuthService.exchangeCodeForToken(code);
+    await TokenService.setTokens(context.userId, token);
+  } catch (err) {
+    logger.error(`Failed to store the token of user ${context.userId}`, err);
+    return res.status(500).send({ message: 'Authorization failed, please try again' });
+  }
+
+  reauthService.markReauthorized(context.userId);
+  transferEngine.resumeParkedJobs(context.userId);
+  bulkService.resumeRuns(context.userId);
+  return finishReconnect(res, context.backToUrl);
 });
 
 module.exports = router;
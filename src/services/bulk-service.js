@@ -0,0 +1,295 @@
+const path = require('path');
+const crypto = require('crypto');
+const mondayService = require('./monday-service');
+const jobService = require('./job-service');
+const TokenService = require('./token-service');
+const reauthService = require('./reauth-service');
+const recipeService = require('./recipe-service');
+const transferEngine = require('./transfer-engine');
+const { createJobStore } = require('../utils/JobStore');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'bulk-service' });
+
+const PAGE_SIZE = 50;
+const ITEM_CONCURRENCY = 2; // Items of one run transferred at the same time
+const CURSOR_TTL = 55 * 60 * 1000; // monday expires item cursors after 60 minutes
+const MAX_ERRORS = 50;
+
+const runStore = createJobStore({ filePath: path.join(__dirname, '../../data/bulk-runs.json') });
+const activeRuns = new Set();
+
+const isFinished = (run) => ['completed', 'failed', 'cancelled'].includes(run.status);
+
+const updateRun = (run, changes) => {
+  Object.assign(run, changes);
+  runStore.set(run.id, run);
+};
+
+// The ids of handled items are only needed to resume a run, not to show its progress
+const toRunStatus = ({ processedItemIds, ...run }) => ({
+  ...run,
+  elapsedMs: (run.endTime || Date.now()) - run.startTime,
+});
+
+const recordError = (run, itemId, message) => {
+  run.errors = [...run.errors, { itemId, message, at: Date.now() }].slice(-MAX_ERRORS);
+};
+
+// Ids stay recorded for the whole run, so a run restarted after its cursor expired skips what it already did
+const markProcessed = (run, processed, item) => {
+  processed.add(String(item.id));
+  run.processedItemIds.push(String(item.id));
+};
+
+const createRun = ({ userId, accountId, backToUrl, inputFields }) => {
+  const run = {
+    id: crypto.randomUUID(),
+    userId,
+    accountId,
+    backToUrl,
+    boardId: String(inputFields.boardId),
+    inputFields,
+    correlationId: Logger.getContext().correlationId || Logger.newCorrelationId(),
+    status: 'running',
+    // Cursor of the page being worked on
+    pageCursor: null,
+    pageCursorAt: null,
+    processedItemIds: [],
+    progress: {
+      pages: 0,
+      items: 0,
+      skippedItems: 0,
+      failedItems: 0,
+      filesQueued: 0,
+      filesDone: 0,
+      filesFailed: 0,
+    },
+    errors: [],
+    startTime: Date.now(),
+    endTime: null,
+  };
+
+  runStore.set(run.id, run);
+  return run;
+};
+
+// Runs the column recipe for one item and waits until its files are transferred.
+// Returns true when the run has to stop because the user must re-authorize first.
+async function processItem(run, processed, item) {
+  const isStopped = () => run.status !== 'running';
+  let result;
+  for (;;) {
+    result = await recipeService.queueRecipe('column', {
+      userId: run.userId,
+      accountId: run.accountId,
+      backToUrl: run.backToUrl,
+      inputFields: { ...run.inputFields, itemId: item.id },
+      waitForCompletion: true,
+    });
+    if (result.body.message !== 'Already processing') break;
+
+    // The job holding the item may copy to another column, so this run's copy is made once it is done
+    logger.info(`Item ${item.id} is busy with job ${result.body.jobId}, copying it after that job`);
+    await transferEngine.waitForFreeItem(item.id, { shouldStop: isStopped });
+    // A cancelled run leaves the item unprocessed, so resuming the run picks it up again
+    if (isStopped()) return false;
+  }
+
+  const { status, body } = result;
+  if (status === 401) {
+    return true;
+  }
+
+  const { progress } = run;
+  progress.items++;
+  markProcessed(run, processed, item);
+
+  const job = body.jobId ? jobService.getJob(body.jobId) : null;
+  if (status !== 200) {
+    progress.failedItems++;
+    recordError(run, item.id, body.message);
+  } else if (!job) {
+    progress.skippedItems++;
+  } else {
+    progress.filesQueued += job.files.length;
+    progress.filesDone += job.summary.done;
+    progress.filesFailed += job.summary.failed;
+    if (job.summary.failed > 0) {
+      recordError(run, item.id, `${job.summary.failed} file(s) failed`);
+    }
+  }
+
+  runStore.set(run.id, run);
+  // A parked job resumes by itself once the user reconnects; the rest of the board waits for that too
+  return job?.status === 'waiting_for_auth';
+}
+
+async function processRun(runId) {
+  if (activeRuns.has(runId)) return;
+  activeRuns.add(runId);
+
+  const run = runStore.get(runId);
+  const { boardId, sourceColumnId, groupId, filterColumnId, filterValue } = run.inputFields;
+  const processed = new Set(run.processedItemIds);
+
+  try {
+    if (run.pageCursor && Date.now() - run.pageCursorAt > CURSOR_TTL) {
+      logger.info(`Cursor of bulk run ${runId} expired, paging board ${boardId} from the start`);
+      updateRun(run, { pageCursor: null, pageCursorAt: null });
+    }
+
+    let cursor = run.pageCursor;
+    do {
+      if (run.status !== 'running') return;
+
+      // A token that can no longer be refreshed pauses the run like a missing one
+      const accessToken = await TokenService.getToken(run.userId).catch(() => null);
+      if (!accessToken) {
+        await pauseForAuth(run);
+        return;
+      }
+
+      const page = await mondayService.getBoardItemsPage(accessToken, {
+        boardId,
+        groupId: recipeService.getOptionValue(groupId),
+        filterColumnId: recipeService.getOptionValue(filterColumnId),
+        filterValue,
+        columnIds: [sourceColumnId],
+        cursor,
+        limit: PAGE_SIZE,
+      });
+
+      const items = page.items.filter((item) => !processed.has(String(item.id)));
+      // Items with an empty source column have nothing to copy
+      const empty = items.filter((item) => !item.column_values?.[0]?.value);
+      empty.forEach((item) => markProcessed(run, processed, item));
+      run.progress.items += empty.length;
+      run.progress.skippedItems += empty.length;
+      const withFiles = items.filter((item) => !empty.includes(item));
+
+      for (let i = 0; i < withFiles.length; i += ITEM_CONCURRENCY) {
+        if (run.status !== 'running') return;
+
+        const chunk = withFiles.slice(i, i + ITEM_CONCURRENCY);
+        const results = await Promise.all(chunk.map((item) => processItem(run, processed, item)));
+
+        if (results.some(Boolean)) {
+          await pauseForAuth(run);
+          return;
+        }
+      }
+
+      run.progress.pages++;
+      cursor = page.cursor;
+      updateRun(run, { pageCursor: cursor, pageCursorAt: Date.now() });
+      logger.info(`Bulk run ${runId}: ${run.progress.items} items, ${run.progress.filesDone} files copied so far`);
+    } while (cursor);
+
+    // Cancelled during the last page
+    if (run.status !== 'running') return;
+    updateRun(run, { status: 'completed', endTime: Date.now() });
+    logger.info(`Bulk run ${runId} completed`);
+  } catch (err) {
+    logger.error(`Bulk run ${runId} failed`, err);
+    recordError(run, null, err.message);
+    updateRun(run, { status: 'failed', endTime: Date.now() });
+  } finally {
+    activeRuns.delete(runId);
+  }
+}
+
+async function pauseForAuth(run) {
+  updateRun(run, { status: 'waiting_for_auth' });
+  logger.info(`Bulk run ${run.id} paused until user ${run.userId} re-authorizes`);
+  try {
+    await reauthService.notifyReauthRequired({
+      userId: run.userId,
+      accountId: run.accountId,
+      backToUrl: run.backToUrl,
+      boardId: run.boardId,
+    });
+  } catch (err) {
+    logger.error('Error sending re-authorization notification', err);
+  }
+}
+
+// Items of a run log under the run's correlation id, also after a restart
+const startProcessing = (run) =>
+  Logger.runWithContext({ correlationId: run.correlationId, bulkRunId: run.id }, () => processRun(run.id));
+
+const startRun = (options) => {
+  const run = createRun(options);
+  startProcessing(run);
+  return toRunStatus(run);
+};
+
+const getRun = (runId) => {
+  const run = runStore.get(runId);
+  return run ? toRunStatus(run) : null;
+};
+
+const listRuns = ({ accountId } = {}) =>
+  runStore
+    .values()
+    .filter((run) => !accountId || run.accountId === accountId)
+    .sort((a, b) => b.startTime - a.startTime)
+    .map(toRunStatus);
+
+// Finds an unfinished run copying the same columns of the same board
+const findOpenRun = ({ boardId, sourceColumnId, destinationColumnId }) => {
+  const run = runStore
+    .values()
+    .find(
+      (entry) =>
+        !isFinished(entry) &&
+        entry.boardId === String(boardId) &&
+        entry.inputFields.sourceColumnId === sourceColumnId &&
+        entry.inputFields.destinationColumnId === destinationColumnId
+    );
+  return run ? toRunStatus(run) : null;
+};
+
+const cancelRun = (runId) => {
+  const run = runStore.get(runId);
+  if (!run) return null;
+  if (!isFinished(run)) {
+    updateRun(run, { status: 'cancelled', endTime: Date.now() });
+    logger.info(`Bulk run ${runId} cancelled`);
+  }
+  return toRunStatus(run);
+};
+
+const resumeRun = (runId) => {
+  const run = runStore.get(runId);
+  if (!run) return null;
+  if (run.status !== 'completed') {
+    updateRun(run, { status: 'running', endTime: null });
+    startProcessing(run);
+  }
+  return toRunStatus(run);
+};
+
+// Picks up runs interrupted by a restart, or the runs of a user who just re-authorized
+const resumeRuns = (userId) => {
+  const runs = runStore
+    .values()
+    .filter((run) =>
+      userId ? run.status === 'waiting_for_auth' && String(run.userId) === String(userId) : run.status === 'running'
+    );
+
+  if (runs.length > 0) {
+    logger.info(`Resuming ${runs.length} bulk runs`);
+  }
+  runs.forEach((run) => resumeRun(run.id));
+};
+
+module.exports = {
+  startRun,
+  getRun,
+  listRuns,
+  findOpenRun,
+  cancelRun,
+  resumeRun,
+  resumeRuns,
+};
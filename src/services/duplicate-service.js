@@ -0,0 +1,140 @@
+const path = require('path');
+const fetch = require('node-fetch');
+const mondayService = require('./monday-service');
+const { hashStream } = require('./transfer-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'duplicate-service' });
+
+const MAX_CACHED_HASHES = 5000;
+
+// Asset contents never change, so hashes of destination files are computed once per process
+const assetHashes = new Map();
+
+const rememberAssetHash = (assetId, hash) => {
+  if (!assetId || !hash) return;
+  if (assetHashes.size >= MAX_CACHED_HASHES) {
+    assetHashes.delete(assetHashes.keys().next().value);
+  }
+  assetHashes.set(String(assetId), hash);
+};
+
+const getAssetHash = async (asset) => {
+  const cached = assetHashes.get(String(asset.id));
+  if (cached) return cached;
+  if (!asset.public_url) return null;
+
+  const response = await fetch(asset.public_url);
+  if (!response.ok) {
+    logger.warn(`Could not download asset ${asset.id} for hashing: ${response.statusText}`);
+    return null;
+  }
+
+  const hash = await hashStream(response.body);
+  rememberAssetHash(asset.id, hash);
+  return hash;
+};
+
+const getDestinationFiles = async (accessToken, itemId, columnId, withHashes) => {
+  let files = [];
+  try {
+    files = JSON.parse(await mondayService.getColumnValue(accessToken, itemId, columnId))?.files || [];
+  } catch (err) {
+    return [];
+  }
+  if (files.length === 0) return [];
+
+  const assets = await mondayService.getAssets(
+    accessToken,
+    files.map((file) => file.assetId)
+  );
+  const assetsById = Object.fromEntries(assets.map((asset) => [String(asset.id), asset]));
+
+  return Promise.all(
+    files.map(async (file) => {
+      const asset = assetsById[String(file.assetId)];
+      return {
+        ...file,
+        size: asset ? Number(asset.file_size) : null,
+        hash: withHashes && asset ? await getAssetHash(asset) : null,
+      };
+    })
+  );
+};
+
+const getAvailableName = (fileName, destinationFiles) => {
+  const takenNames = new Set(destinationFiles.map((file) => file.name.toLowerCase()));
+  const extension = path.extname(fileName);
+  const baseName = path.basename(fileName, extension);
+
+  let suffix = 1;
+  while (takenNames.has(`${baseName} (${suffix})${extension}`.toLowerCase())) {
+    suffix++;
+  }
+  return `${baseName} (${suffix})${extension}`;
+};
+
+// Decides how an incoming file is uploaded given what the destination column already holds
+const resolveDuplicate = async ({
+  accessToken,
+  boardId,
+  itemId,
+  columnId,
+  fileName,
+  fileSize,
+  fileHash,
+  mode,
+  match,
+}) => {
+  if (!mode || mode === 'OFF') {
+    return { fileName };
+  }
+
+  const destinationFiles = await getDestinationFiles(accessToken, itemId, columnId, match === 'HASH');
+  const duplicates = destinationFiles.filter((file) =>
+    match === 'HASH'
+      ? file.hash && file.hash === fileHash
+      : file.name.toLowerCase() === fileName.toLowerCase() && file.size === fileSize
+  );
+
+  if (duplicates.length === 0) {
+    return { fileName };
+  }
+
+  if (mode === 'SKIP') {
+    logger.info(`Skipping ${fileName}: already present in column ${columnId} of item ${itemId}`);
+    return { skip: true, duplicateOf: duplicates[0].assetId, duplicate: 'skipped' };
+  }
+
+  if (mode === 'OVERWRITE') {
+    // The existing copies are removed by removeAssets once the new file is uploaded, so a failed upload loses nothing
+    return { fileName, duplicate: 'overwritten', replaces: duplicates.map((file) => String(file.assetId)) };
+  }
+
+  const renamed = getAvailableName(fileName, destinationFiles);
+  logger.info(`Keeping both copies of ${fileName}, uploading as ${renamed}`);
+  return { fileName: renamed, duplicate: 'renamed' };
+};
+
+// Drops replaced assets from a file column, keeping everything else it holds by now (including the new upload)
+const removeAssets = async ({ accessToken, boardId, itemId, columnId, assetIds }) => {
+  const removedIds = new Set(assetIds.map(String));
+  const files = JSON.parse(await mondayService.getColumnValue(accessToken, itemId, columnId))?.files || [];
+  const remainingFiles = files.filter((file) => !removedIds.has(String(file.assetId)));
+  if (remainingFiles.length === files.length) return;
+
+  await mondayService.changeColumnValue(
+    accessToken,
+    boardId,
+    itemId,
+    columnId,
+    JSON.stringify(remainingFiles.length > 0 ? { files: remainingFiles } : {})
+  );
+  logger.info(`Removed ${files.length - remainingFiles.length} replaced files from item ${itemId}`);
+};
+
+module.exports = {
+  resolveDuplicate,
+  removeAssets,
+  rememberAssetHash,
+};
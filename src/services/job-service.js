@@ -0,0 +1,122 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJobStore } = require('../utils/JobStore');
+
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // Keep finished jobs around for a day
+
+const jobHistory = createJobStore({ filePath: path.join(__dirname, '../../data/job-history.json') });
+
+const getFileKey = (fileInfo) => String(fileInfo.assetId || fileInfo.id);
+
+const pruneJobs = () => {
+  const now = Date.now();
+  for (const job of jobHistory.values()) {
+    if (job.endTime && now - job.endTime > JOB_RETENTION) {
+      jobHistory.delete(job.id);
+    }
+  }
+};
+
+const createJob = ({ itemId, type, userId, accountId, correlationId = null, files, skippedFiles = [] }) => {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    itemId: String(itemId),
+    type,
+    userId,
+    accountId,
+    correlationId,
+    status: 'running',
+    startTime: Date.now(),
+    endTime: null,
+    processedCount: 0,
+    skippedFiles,
+    files: files.map((fileInfo) => ({
+      key: getFileKey(fileInfo),
+      name: fileInfo.name,
+      targetName: fileInfo.targetName || null,
+      status: 'pending',
+      retryCount: 0,
+      lastError: null,
+      startedAt: null,
+      finishedAt: null,
+    })),
+  };
+
+  jobHistory.set(job.id, job);
+  return job;
+};
+
+const updateJobFile = (jobId, fileInfo, changes) => {
+  const job = jobHistory.get(jobId);
+  const file = job?.files.find((entry) => entry.key === getFileKey(fileInfo));
+  if (!file) return;
+
+  Object.assign(file, changes);
+  if (changes.status === 'in_progress' && !file.startedAt) {
+    file.startedAt = Date.now();
+  }
+  if (changes.status === 'done' || changes.status === 'failed') {
+    file.finishedAt = Date.now();
+  }
+  jobHistory.set(jobId, job);
+};
+
+const updateJob = (jobId, changes) => {
+  const job = jobHistory.get(jobId);
+  if (!job) return;
+
+  Object.assign(job, changes);
+  jobHistory.set(jobId, job);
+};
+
+const finishJob = (jobId, processedCount) => {
+  const job = jobHistory.get(jobId);
+  if (!job) return;
+
+  job.status = 'completed';
+  job.endTime = Date.now();
+  job.processedCount = processedCount;
+  jobHistory.set(jobId, job);
+};
+
+const toJobStatus = (job) => {
+  const now = Date.now();
+  const summary = { pending: 0, in_progress: 0, done: 0, failed: 0 };
+  for (const file of job.files) {
+    summary[file.status]++;
+  }
+
+  return {
+    ...job,
+    elapsedMs: (job.endTime || now) - job.startTime,
+    summary,
+    files: job.files.map((file) => ({
+      ...file,
+      elapsedMs: file.startedAt ? (file.finishedAt || now) - file.startedAt : 0,
+    })),
+  };
+};
+
+const getJob = (jobId) => {
+  const job = jobHistory.get(jobId);
+  return job ? toJobStatus(job) : null;
+};
+
+const listJobs = ({ itemId, accountId } = {}) => {
+  return jobHistory
+    .values()
+    .filter((job) => (!itemId || job.itemId === String(itemId)) && (!accountId || job.accountId === accountId))
+    .sort((a, b) => b.startTime - a.startTime)
+    .map(toJobStatus);
+};
+
+module.exports = {
+  createJob,
+  updateJobFile,
+  updateJob,
+  finishJob,
+  getJob,
+  listJobs,
+};
@@ -0,0 +1,67 @@
+const transferEngine = require('./transfer-engine');
+const { rateGovernor } = require('./monday-service');
+const MetricsTracker = require('../utils/MetricsTracker');
+
+const CIRCUIT_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+const gauge = (name, help, samples) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} gauge`,
+  ...samples.map(({ labels, value }) => `${name}${MetricsTracker.formatLabels(labels)} ${value}`),
+];
+
+// Gauges are read from the engine at scrape time; counters and histograms come from its MetricsTracker
+const renderMetrics = () => {
+  const queueStats = Object.entries(transferEngine.getQueueStats());
+  const circuits = transferEngine.circuitBreaker.getStates();
+  // Breakers are kept per item, so only the ones that tripped get their own series
+  const trippedCircuits = circuits.filter(({ status }) => status !== 'CLOSED');
+  const budgets = [...rateGovernor.accounts.entries()].filter(([, state]) => state.remaining !== null);
+
+  return [
+    transferEngine.metricsTracker.toPrometheus(),
+    ...gauge(
+      'transfer_queue_depth',
+      'Files waiting in transfer queues, by recipe',
+      queueStats.map(([recipe, stats]) => ({ labels: { recipe }, value: stats.queuedFiles }))
+    ),
+    ...gauge(
+      'transfer_active_items',
+      'Items with a running transfer queue, by recipe',
+      queueStats.map(([recipe, stats]) => ({ labels: { recipe }, value: stats.activeItems }))
+    ),
+    ...gauge(
+      'transfer_parked_jobs',
+      'Jobs waiting for the user to re-authorize, by recipe',
+      queueStats.map(([recipe, stats]) => ({ labels: { recipe }, value: stats.parkedJobs }))
+    ),
+    ...gauge(
+      'circuit_breakers',
+      'Circuit breakers, by state',
+      Object.keys(CIRCUIT_STATES).map((state) => ({
+        labels: { state },
+        value: circuits.filter(({ status }) => status === state).length,
+      }))
+    ),
+    ...gauge(
+      'circuit_breaker_state',
+      'State of each circuit breaker that is not closed: 1 half open, 2 open',
+      trippedCircuits.map(({ key, status }) => ({ labels: { key }, value: CIRCUIT_STATES[status] }))
+    ),
+    ...gauge(
+      'circuit_breaker_failures',
+      'Recent failures counted by each circuit breaker that is not closed',
+      trippedCircuits.map(({ key, failures }) => ({ labels: { key }, value: failures }))
+    ),
+    ...gauge(
+      'monday_complexity_remaining',
+      'Complexity budget left for each account, as last reported by monday',
+      budgets.map(([account, state]) => ({ labels: { account }, value: state.remaining }))
+    ),
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  renderMetrics,
+};
@@ -0,0 +1,277 @@
+const path = require('path');
+const mondayService = require('./monday-service');
+const jobService = require('./job-service');
+const TokenService = require('./token-service');
+const recipeService = require('./recipe-service');
+const transferEngine = require('./transfer-engine');
+const { createJobStore } = require('../utils/JobStore');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'mirror-service' });
+
+const UPLOAD_ECHO_TTL = 5 * 60 * 1000;
+
+// Links every mirrored asset to its copies on the other side (one per linked item), stored under both assets so
+// either side can be looked up: `<itemId>:<assetId>` -> { ruleId, boardId, itemId, columnId, assetId, counterparts }
+const mirrorStore = createJobStore({ driver: 'file', filePath: path.join(__dirname, '../../data/asset-mirrors.json') });
+// Files the app is uploading right now, so the webhook events of its own uploads are not mirrored back.
+// Keyed `<boardId>:<columnId>:<file name>`, since the new asset ids are only known once the job is done;
+// once it is, the links take over.
+const pendingUploads = new Map();
+// The last mirror run of every item, so events for one item are handled one after another
+const itemRuns = new Map();
+
+const getMirrorKey = (itemId, assetId) => `${itemId}:${assetId}`;
+const getUploadKey = (boardId, columnId, name) => `${boardId}:${columnId}:${name}`;
+
+const getAssetId = (file) => String(file.assetId || file.id);
+
+// The two file columns a mirror rule keeps in sync, each with the connect boards column that links to the other
+const getSides = (rule) => [
+  {
+    boardId: rule.boardId,
+    columnId: rule.columnId,
+    connectedBoardColumnId: rule.inputFields.connectedBoardColumnId,
+  },
+  {
+    boardId: String(rule.inputFields.destinationBoardId),
+    columnId: rule.inputFields.destinationColumnId,
+    connectedBoardColumnId: rule.inputFields.destinationConnectedBoardColumnId,
+  },
+];
+
+const validateRule = ({ columnId, inputFields = {} }) => {
+  const missing = [
+    'connectedBoardColumnId',
+    'destinationBoardId',
+    'destinationColumnId',
+    'destinationConnectedBoardColumnId',
+  ].filter((field) => !inputFields[field]);
+  if (!columnId) missing.unshift('columnId');
+  return missing.length > 0 ? `Mirror rules need ${missing.join(', ')}` : null;
+};
+
+const startUploads = (side, files) =>
+  files.forEach((file) => pendingUploads.set(getUploadKey(side.boardId, side.columnId, file.name), Date.now()));
+
+const finishUploads = (side, files) =>
+  files.forEach((file) => pendingUploads.delete(getUploadKey(side.boardId, side.columnId, file.name)));
+
+const isPendingUpload = (side, name) => {
+  const startedAt = pendingUploads.get(getUploadKey(side.boardId, side.columnId, name));
+  return Boolean(startedAt) && Date.now() - startedAt < UPLOAD_ECHO_TTL;
+};
+
+// Runs `fn` once the item's earlier mirror runs are done, whether they succeeded or not
+const runForItem = (itemId, fn) => {
+  const key = String(itemId);
+  const run = (itemRuns.get(key) || Promise.resolve()).then(fn);
+  const settled = run
+    .catch(() => {})
+    .then(() => {
+      if (itemRuns.get(key) === settled) itemRuns.delete(key);
+    });
+  itemRuns.set(key, settled);
+  return run;
+};
+
+const getLink = (itemId, assetId) => mirrorStore.get(getMirrorKey(itemId, assetId));
+
+const addCounterpart = (ruleId, asset, counterpart) => {
+  const key = getMirrorKey(asset.itemId, asset.assetId);
+  const entry = mirrorStore.get(key) || { ruleId, ...asset, counterparts: [], createdAt: Date.now() };
+  const others = entry.counterparts.filter(
+    (other) => getMirrorKey(other.itemId, other.assetId) !== getMirrorKey(counterpart.itemId, counterpart.assetId)
+  );
+  mirrorStore.set(key, { ...entry, counterparts: [...others, counterpart] });
+};
+
+const link = (ruleId, source, target) => {
+  addCounterpart(ruleId, source, target);
+  addCounterpart(ruleId, target, source);
+};
+
+// Drops an asset's links; a counterpart left without any link is dropped as well
+const unlink = (entry) => {
+  mirrorStore.delete(getMirrorKey(entry.itemId, entry.assetId));
+  for (const counterpart of entry.counterparts) {
+    const other = getLink(counterpart.itemId, counterpart.assetId);
+    if (!other) continue;
+
+    const counterparts = other.counterparts.filter(
+      (asset) => getMirrorKey(asset.itemId, asset.assetId) !== getMirrorKey(entry.itemId, entry.assetId)
+    );
+    if (counterparts.length > 0) {
+      mirrorStore.set(getMirrorKey(other.itemId, other.assetId), { ...other, counterparts });
+    } else {
+      mirrorStore.delete(getMirrorKey(other.itemId, other.assetId));
+    }
+  }
+};
+
+// Copies files added on one side to every linked item on the other, then links each asset to its copies.
+// A copy that already existed (skipped as a duplicate) is linked too.
+async function mirrorAddedFiles(rule, { from, to, itemId, files }) {
+  // The item can also be busy with another recipe's job, or be taken by one between the wait and the lock.
+  // That job's files are not this event's, so the event waits for the item again instead of dropping its files.
+  let result;
+  for (;;) {
+    await transferEngine.waitForFreeItem(itemId);
+    startUploads(to, files);
+    result = await recipeService.queueRecipe('mirror', {
+      userId: rule.userId,
+      accountId: rule.accountId,
+      backToUrl: null,
+      shortLivedToken: null,
+      waitForCompletion: true,
+      inputFields: {
+        ...rule.inputFields,
+        boardId: from.boardId,
+        itemId,
+        sourceColumnId: from.columnId,
+        connectedBoardColumnId: from.connectedBoardColumnId,
+        destinationBoardId: to.boardId,
+        destinationColumnId: to.columnId,
+        assetIds: files.map(getAssetId),
+        duplicateMode: 'SKIP',
+        renameTemplate: null,
+      },
+    });
+    if (result.body.message !== 'Already processing') break;
+
+    finishUploads(to, files);
+    logger.info(`Item ${itemId} is busy with job ${result.body.jobId}, mirroring ${files.length} files after it`);
+  }
+
+  const { status, body } = result;
+  const job = body.jobId ? jobService.getJob(body.jobId) : null;
+  if (status !== 200 || !job) {
+    finishUploads(to, files);
+    logger.info(`Nothing mirrored from item ${itemId}: ${status} ${body.message || ''}`);
+    return { status, body };
+  }
+
+  let linked = 0;
+  for (const file of job.files) {
+    for (const upload of (file.uploads || []).filter((entry) => entry.assetId)) {
+      link(
+        rule.id,
+        { boardId: from.boardId, itemId: String(itemId), columnId: from.columnId, assetId: file.key },
+        {
+          boardId: to.boardId,
+          itemId: String(upload.itemId),
+          columnId: upload.columnId,
+          assetId: String(upload.assetId),
+        }
+      );
+      linked++;
+    }
+  }
+  finishUploads(to, files);
+  logger.info(`Mirrored ${job.files.length} files from item ${itemId} as ${linked} linked copies`);
+  return { status, body };
+}
+
+// Removes the copies of files deleted on one side. The links go first, so the delete events of these removals
+// find nothing to mirror back; a target whose copies could not be removed gets its links back.
+async function mirrorRemovedFiles(rule, { itemId, files }) {
+  const entries = files
+    .map((file) => getLink(itemId, getAssetId(file)))
+    .filter((entry) => entry && entry.ruleId === rule.id);
+  if (entries.length === 0) return;
+
+  const accessToken = await TokenService.getToken(rule.userId);
+  if (!accessToken) {
+    throw new Error(`User ${rule.userId} is not authenticated`);
+  }
+
+  const targets = new Map();
+  for (const entry of entries) {
+    unlink(entry);
+    for (const { boardId, itemId: targetItemId, columnId, assetId } of entry.counterparts) {
+      const key = `${targetItemId}:${columnId}`;
+      if (!targets.has(key)) targets.set(key, { boardId, itemId: targetItemId, columnId, assetIds: new Set() });
+      targets.get(key).assetIds.add(assetId);
+    }
+  }
+
+  for (const target of targets.values()) {
+    try {
+      const columnValue = await mondayService.getColumnValue(accessToken, target.itemId, target.columnId);
+      if (!columnValue) {
+        throw new Error(`Could not read column ${target.columnId} of item ${target.itemId}`);
+      }
+      const targetFiles = transferEngine.parseFiles(columnValue);
+      const keptFiles = targetFiles.filter((file) => !target.assetIds.has(getAssetId(file)));
+      if (keptFiles.length === targetFiles.length) continue;
+
+      const value = keptFiles.length > 0 ? { files: keptFiles } : {};
+      await mondayService.changeColumnValue(
+        accessToken,
+        target.boardId,
+        target.itemId,
+        target.columnId,
+        JSON.stringify(value)
+      );
+      logger.info(`Removed ${targetFiles.length - keptFiles.length} mirrored files from item ${target.itemId}`);
+    } catch (err) {
+      logger.error(`Failed to remove mirrored files from item ${target.itemId}, keeping their links`, err);
+      for (const { boardId, itemId: entryItemId, columnId, assetId, counterparts } of entries) {
+        counterparts
+          .filter(
+            (counterpart) => `${counterpart.itemId}:${counterpart.columnId}` === `${target.itemId}:${target.columnId}`
+          )
+          .forEach((counterpart) => link(rule.id, { boardId, itemId: entryItemId, columnId, assetId }, counterpart));
+      }
+    }
+  }
+}
+
+// Applies one file column change to the other side of the mirror. Changes to one item are applied in the order
+// they arrive, so a file added right after another is not taken for part of the first one's job.
+const handleEvent = async (rule, event) => {
+  const sides = getSides(rule);
+  const fromIndex = sides.findIndex(
+    (side) => side.boardId === String(event.boardId) && side.columnId === event.columnId
+  );
+  if (fromIndex === -1) return null;
+  const from = sides[fromIndex];
+  const to = sides[1 - fromIndex];
+
+  return runForItem(event.pulseId, async () => {
+    const previousFiles = event.previousValue?.files || [];
+    const currentFiles = event.value?.files || [];
+    const previousIds = new Set(previousFiles.map(getAssetId));
+    const currentIds = new Set(currentFiles.map(getAssetId));
+
+    const removed = previousFiles.filter((file) => !currentIds.has(getAssetId(file)));
+    await mirrorRemovedFiles(rule, { itemId: event.pulseId, files: removed });
+
+    // Uploads made by the app (linked already, or still in progress) are not mirrored back
+    const added = currentFiles.filter(
+      (file) =>
+        !previousIds.has(getAssetId(file)) &&
+        !getLink(event.pulseId, getAssetId(file)) &&
+        !isPendingUpload(from, file.name)
+    );
+    if (added.length === 0) return null;
+
+    return mirrorAddedFiles(rule, { from, to, itemId: event.pulseId, files: added });
+  });
+};
+
+// Forgets the asset links of a deleted rule
+const deleteLinks = (ruleId) => {
+  for (const entry of mirrorStore.values()) {
+    if (entry.ruleId === ruleId) {
+      mirrorStore.delete(getMirrorKey(entry.itemId, entry.assetId));
+    }
+  }
+};
+
+module.exports = {
+  getSides,
+  validateRule,
+  handleEvent,
+  deleteLinks,
+};
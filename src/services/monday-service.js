@@ -1,12 +1,70 @@
 const { default: axios } = require('axios');
-const initMondayClient = require('monday-sdk-js');
+const RateGovernor = require('../utils/RateGovernor');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'monday-service' });
+
+const MONDAY_API_URL = 'https://api.monday.com/v2';
+const DEFAULT_API_VERSION = '2024-01';
+
+const rateGovernor = new RateGovernor();
+
+// monday reports errors as a GraphQL `errors` list, or in the older `error_code`/`error_message` shape
+const parseErrors = (body, status) => {
+  const errors = (body?.errors || []).map((error) => ({
+    message: error.message,
+    code: error.extensions?.code || null,
+    details: error.extensions || null,
+  }));
+  if (body?.error_message || body?.error_code) {
+    errors.push({
+      message: body.error_message || body.error_code,
+      code: body.error_code || null,
+      details: body.error_data || null,
+    });
+  }
+  if (errors.length === 0 && status >= 400) {
+    errors.push({ message: status === 401 ? 'Unauthorized' : `monday API returned ${status}`, code: null });
+  }
+  return errors;
+};
+
+// Every GraphQL call goes through here: values are always passed as variables, never written into the query,
+// and the account's rate governor sees each response. Resolves to `data`; errors are thrown with their code.
+const request = async (token, query, variables = {}, { apiVersion = DEFAULT_API_VERSION } = {}) => {
+  let status;
+  const body = await rateGovernor.execute(token, async () => {
+    const response = await axios.post(
+      MONDAY_API_URL,
+      { query: RateGovernor.withComplexity(query), variables },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          Authorization: token,
+          'API-Version': apiVersion,
+        },
+        validateStatus: (code) => code < 500,
+      }
+    );
+    status = response.status;
+    return { body: response.data, headers: response.headers };
+  });
+
+  const errors = parseErrors(body, status);
+  if (errors.length > 0 || !body?.data) {
+    const message = errors.map((error) => error.message).join('; ') || 'monday API returned no data';
+    throw Object.assign(new Error(message), {
+      code: errors[0]?.code || (status === 401 ? 'UNAUTHORIZED' : 'MONDAY_API_ERROR'),
+      status,
+      errors,
+    });
+  }
+  return body.data;
+};
 
 const getColumnValue = async (token, itemId, columnId) => {
   try {
-    const mondayClient = initMondayClient();
-    mondayClient.setToken(token);
-    mondayClient.setApiVersion('2024-01');
-
     const query = `query($itemId: [ID!], $columnId: [String!]) {
         items (ids: $itemId) {
           column_values(ids:$columnId) {
@@ -17,23 +75,22 @@ const getColumnValue = async (token, itemId, columnId) => {
       }`;
     const variables = { columnId: [columnId], itemId: [itemId] };
 
-    const response = await mondayClient.api(query, { variables });
-    if (!response.data?.items?.[0]?.column_values?.[0]) {
-      console.log('No value found for column');
+    const data = await request(token, query, variables);
+    const column = data.items?.[0]?.column_values?.[0];
+    if (!column) {
+      logger.info('No value found for column');
       return null;
     }
-    return response.data.items[0].column_values[0].value || response.data.items[0].column_values[0].text;
+    return column.value || column.text;
   } catch (err) {
-    console.error('Error fetching column value:', err);
+    logger.error('Error fetching column value', err);
     return null;
   }
 };
 
 const changeColumnValue = async (token, boardId, itemId, columnId, value) => {
   try {
-    const mondayClient = initMondayClient({ token });
-    mondayClient.setApiVersion('2024-01');
-    console.log(boardId, itemId, columnId, value);
+    logger.debug('Changing column value', { boardId, itemId, columnId, value });
     const query = `mutation change_column_value($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) {
         change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) {
           id
@@ -42,19 +99,16 @@ const changeColumnValue = async (token, boardId, itemId, columnId, value) => {
       `;
     const variables = { boardId, columnId, itemId, value };
 
-    const response = await mondayClient.api(query, { variables });
-    return response;
+    return await request(token, query, variables);
   } catch (err) {
-    console.error(err);
+    logger.error('Error changing column value', err);
+    // Callers clear files with this, so they have to know when it did not happen
+    throw err;
   }
 };
 
 const getBoardColumns = async (token, boardId) => {
   try {
-    const mondayClient = initMondayClient();
-    mondayClient.setToken(token);
-    mondayClient.setApiVersion('2024-04');
-
     const query = `query($boardId: ID!) {
         boards(ids: [$boardId]) {
           columns {
@@ -67,47 +121,112 @@ const getBoardColumns = async (token, boardId) => {
 
     const variables = { boardId };
 
-    const response = await mondayClient.api(query, { variables });
+    const data = await request(token, query, variables, { apiVersion: '2024-04' });
 
-    if (!response?.data?.boards?.length) {
+    if (!data.boards?.length) {
       throw new Error(`No data found for boardId: ${boardId}`);
     }
 
-    return response.data.boards[0].columns;
+    return data.boards[0].columns;
   } catch (err) {
-    console.error('❌ Error in getBoardColumns:', err);
+    logger.error(`Error fetching columns of board ${boardId}`, err);
     return null;
   }
 };
 
+const getItems = async (token, itemIds) => {
+  const query = `query($itemIds: [ID!]) {
+      items(ids: $itemIds) {
+        id
+        name
+        board {
+          id
+        }
+      }
+    }`;
+  const variables = { itemIds };
+
+  const data = await request(token, query, variables);
+  return data.items || [];
+};
+
+// The name and creator of an item and the text of the given columns, keyed by column id
+const getItemDetails = async (token, itemId, columnIds = []) => {
+  const query = `query($itemId: [ID!], $columnIds: [String!]) {
+      items(ids: $itemId) {
+        id
+        name
+        creator_id
+        column_values(ids: $columnIds) {
+          id
+          text
+        }
+      }
+    }`;
+  const variables = { itemId: [itemId], columnIds: columnIds.length > 0 ? columnIds : ['name'] };
+
+  const data = await request(token, query, variables);
+  const item = data.items?.[0];
+  if (!item) {
+    throw new Error(`Item ${itemId} was not found`);
+  }
+  return {
+    id: item.id,
+    name: item.name,
+    creatorId: item.creator_id,
+    columns: Object.fromEntries(item.column_values.map((column) => [column.id, column.text || ''])),
+  };
+};
+
+const getAssets = async (token, assetIds) => {
+  try {
+    const query = `query($assetIds: [ID!]!) {
+        assets(ids: $assetIds) {
+          id
+          name
+          file_size
+          file_extension
+          public_url
+        }
+      }`;
+    const variables = { assetIds };
+
+    const data = await request(token, query, variables);
+    return data.assets || [];
+  } catch (err) {
+    logger.error('Error fetching assets', err);
+    return [];
+  }
+};
+
+// Public URLs are short-lived, so they are fetched right before each download
+const getAssetPublicUrl = async (token, assetId) => {
+  const query = `query($assetIds: [ID!]!) {
+      assets(ids: $assetIds) {
+        public_url
+      }
+    }`;
+
+  const data = await request(token, query, { assetIds: [assetId] });
+  const publicUrl = data.assets?.[0]?.public_url;
+  if (!publicUrl) {
+    throw new Error(`Failed to get public URL: No URL returned for asset ${assetId}`);
+  }
+  return publicUrl;
+};
+
 const sendNotification = async ({ accessToken, userId, text, boardId }) => {
-  
-  const mutation = `
-    mutation {
-      create_notification(
-        user_id: ${userId},
-        target_id: ${boardId},
-        text: "${text}",
-        target_type: Project
-      ) {
+  const mutation = `mutation($userId: ID!, $targetId: ID!, $text: String!) {
+      create_notification(user_id: $userId, target_id: $targetId, text: $text, target_type: Project) {
         text
       }
-    }
-  `;
+    }`;
+  const variables = { userId: String(userId), targetId: String(boardId), text };
 
   try {
-    const response = await axios.post(
-      'https://api.monday.com/v2',
-      { query: mutation },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: accessToken,
-        },
-      }
-    );
+    await request(accessToken, mutation, variables);
   } catch (error) {
-    console.error('Error sending notification:', error.response?.data || error.message);
+    logger.error('Error sending notification', error);
   }
 };
 
@@ -115,11 +234,10 @@ const getUpdate = async (token, updateId) => {
   try {
     if (!token || !updateId) throw new Error('Missing token or updateId');
 
-    const query = `
-      query {
-        updates(ids: [${updateId}]) {
+    const query = `query($updateId: [ID!]) {
+        updates(ids: $updateId) {
           id
-          body  
+          body
           creator_id
           created_at
           assets {
@@ -128,37 +246,177 @@ const getUpdate = async (token, updateId) => {
             name
           }
         }
-      }
-    `;
+      }`;
 
-    const response = await axios.post(
-      'https://api.monday.com/v2',
-      { query },
-      {
-        headers: {
-          Authorization: token,
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        },
-      }
-    );
+    const data = await request(token, query, { updateId: [updateId] });
+    return data.updates?.[0] || null;
+  } catch (err) {
+    logger.error('Error fetching update', err);
+    return null;
+  }
+};
 
-    if (!response.data || !response.data.data || !response.data.data.updates) {
-      console.error('❌ Unexpected API response:', response.data);
-      return null;
-    }
+const createUpdate = async (token, itemId, body) => {
+  try {
+    const query = `mutation($itemId: ID!, $body: String!) {
+        create_update(item_id: $itemId, body: $body) {
+          id
+        }
+      }`;
+    const variables = { itemId, body };
 
-    return response.data.data.updates[0] || null;
+    const data = await request(token, query, variables);
+    return data.create_update || null;
   } catch (err) {
-    console.error('❌ Error fetching update:', err);
+    logger.error('Error creating update', err);
     return null;
   }
 };
 
+const UPDATES_PAGE_SIZE = 100;
+
+// Every update on an item with its replies, paged until monday returns a short page
+const getItemUpdates = async (token, itemId) => {
+  try {
+    const query = `query($itemId: [ID!], $limit: Int!, $page: Int!) {
+        items(ids: $itemId) {
+          updates(limit: $limit, page: $page) {
+            id
+            body
+            creator_id
+            created_at
+            assets {
+              id
+              public_url
+              name
+            }
+            replies {
+              id
+              body
+              creator_id
+              created_at
+              assets {
+                id
+                public_url
+                name
+              }
+            }
+          }
+        }
+      }`;
+
+    const updates = [];
+    for (let page = 1; ; page++) {
+      const variables = { itemId: [itemId], limit: UPDATES_PAGE_SIZE, page };
+      const data = await request(token, query, variables, { apiVersion: '2024-04' });
+      const pageUpdates = data.items?.[0]?.updates;
+      if (!pageUpdates) {
+        logger.error(`Item ${itemId} was not found`);
+        return updates;
+      }
+
+      updates.push(...pageUpdates);
+      if (pageUpdates.length < UPDATES_PAGE_SIZE) return updates;
+    }
+  } catch (err) {
+    logger.error('Error fetching item updates', err);
+    return [];
+  }
+};
+
+const ITEM_FIELDS = `cursor
+          items {
+            id
+            name
+            column_values(ids: $columnIds) {
+              id
+              value
+            }
+          }`;
+
+// One page of a board's items, optionally limited to a group or to items whose filter column matches a value.
+// Pass the cursor of the previous page to get the next one; monday expires cursors after 60 minutes.
+const getBoardItemsPage = async (
+  token,
+  { boardId, groupId, filterColumnId, filterValue, columnIds, cursor, limit }
+) => {
+  let query;
+  const variables = { limit, columnIds };
+
+  if (cursor) {
+    query = `query($cursor: String!, $limit: Int!, $columnIds: [String!]) {
+        next_items_page(cursor: $cursor, limit: $limit) {
+          ${ITEM_FIELDS}
+        }
+      }`;
+    variables.cursor = cursor;
+  } else {
+    const itemsPage = `items_page(limit: $limit, query_params: $queryParams) {
+            ${ITEM_FIELDS}
+          }`;
+    query = `query($boardId: [ID!], $groupId: [String], $limit: Int!, $queryParams: ItemsQuery, $columnIds: [String!]) {
+        boards(ids: $boardId) {
+          ${groupId ? `groups(ids: $groupId) { ${itemsPage} }` : itemsPage}
+        }
+      }`;
+    variables.boardId = [boardId];
+    variables.groupId = groupId ? [groupId] : null;
+    variables.queryParams = filterColumnId
+      ? { rules: [{ column_id: filterColumnId, compare_value: [filterValue], operator: 'any_of' }] }
+      : null;
+  }
+
+  const data = await request(token, query, variables, { apiVersion: '2024-04' });
+  const board = data.boards?.[0];
+  const page = cursor ? data.next_items_page : groupId ? board?.groups?.[0]?.items_page : board?.items_page;
+  if (!page) {
+    throw new Error(`Failed to fetch items of board ${boardId}: board or group not found`);
+  }
+
+  return { items: page.items, cursor: page.cursor };
+};
+
+// `event` is a monday WebhookEventType such as change_specific_column_value or create_update
+const createWebhook = async (token, { boardId, url, event, config }) => {
+  const query = `mutation($boardId: ID!, $url: String!, $event: WebhookEventType!, $config: JSON) {
+      create_webhook(board_id: $boardId, url: $url, event: $event, config: $config) {
+        id
+        board_id
+      }
+    }`;
+  const variables = { boardId, url, event, config: config ? JSON.stringify(config) : null };
+
+  const data = await request(token, query, variables);
+  return data.create_webhook;
+};
+
+const deleteWebhook = async (token, webhookId) => {
+  const query = `mutation($webhookId: ID!) {
+      delete_webhook(id: $webhookId) {
+        id
+      }
+    }`;
+
+  const data = await request(token, query, { webhookId });
+  return data.delete_webhook;
+};
+
 module.exports = {
+  rateGovernor,
+  parseErrors,
+  request,
   getColumnValue,
   changeColumnValue,
   getBoardColumns,
+  getAssets,
+  getAssetPublicUrl,
+  getItems,
+  getItemDetails,
   sendNotification,
   getUpdate,
+  getItemUpdates,
+  createUpdate,
+  getBoardItemsPage,
+  createWebhook,
+  deleteWebhook,
 };
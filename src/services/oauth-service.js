@@ -1,6 +1,9 @@
 const fetch = require('node-fetch');
 const jwt = require('jsonwebtoken');
 const mondaySdk = require('monday-sdk-js');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'oauth-service' });
 
 class OAuthService {
   static async getAuthUrl(context) {
@@ -13,7 +16,7 @@ class OAuthService {
       });
       return `https://auth.monday.com/oauth2/authorize?${params.toString()}`;
     } catch (error) {
-      console.error('Error generating auth URL:', error);
+      logger.error('Error generating auth URL', error);
       throw new Error('Failed to generate authorization URL');
     }
   }
@@ -23,15 +26,34 @@ class OAuthService {
     try {
       const token = await monday.oauthToken(
         code,
-        process.env.MONDAY_CLIENT_ID,
-        process.env.MONDAY_CLIENT_SECRET
+        process.env.CLIENT_ID,
+        process.env.CLIENT_SECRET
       );
       return token;
     } catch (error) {
-      console.error('Error exchanging code for token:', error);
+      logger.error('Error exchanging code for token', error);
       throw new Error('Failed to exchange code for token');
     }
   }
+
+  static async refreshToken(refreshToken) {
+    const response = await fetch('https://auth.monday.com/oauth2/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: process.env.CLIENT_ID,
+        client_secret: process.env.CLIENT_SECRET
+      })
+    });
+
+    const token = await response.json();
+    if (!response.ok || !token.access_token) {
+      throw new Error(`Failed to refresh token: ${token.error_description || token.error || response.statusText}`);
+    }
+    return token;
+  }
 }
 
 module.exports = OAuthService;
\ No newline at end of file
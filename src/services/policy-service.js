@@ -0,0 +1,57 @@
+const path = require('path');
+const FilePolicy = require('../utils/FilePolicy');
+const { createJobStore } = require('../utils/JobStore');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'policy-service' });
+
+// Policies are admin configuration, kept in a file whatever JOB_STORE_DRIVER says
+const policyStore = createJobStore({ driver: 'file', filePath: path.join(__dirname, '../../data/file-policies.json') });
+
+const getPolicyKey = (accountId, recipe) => (recipe ? `${accountId}:${recipe}` : String(accountId));
+
+// A recipe policy overrides the account policy, which overrides the built-in list
+const getPolicy = (accountId, recipe) => {
+  const stored =
+    (recipe && policyStore.get(getPolicyKey(accountId, recipe))) || policyStore.get(getPolicyKey(accountId));
+  return stored ? new FilePolicy(stored) : FilePolicy.DEFAULT;
+};
+
+const setPolicy = ({ accountId, recipe, allow = [], deny = [] }) => {
+  if (!Array.isArray(allow) || !Array.isArray(deny)) {
+    throw Object.assign(new Error('allow and deny must be lists of file type patterns'), { code: 'INVALID_POLICY' });
+  }
+  const invalid = [...allow, ...deny].filter((pattern) => !FilePolicy.isValidPattern(pattern));
+  if (invalid.length > 0) {
+    throw Object.assign(new Error(`Invalid file type patterns: ${invalid.join(', ')}`), { code: 'INVALID_POLICY' });
+  }
+
+  const policy = {
+    accountId: String(accountId),
+    recipe: recipe || null,
+    allow: allow.map((pattern) => pattern.trim().toLowerCase()),
+    deny: deny.map((pattern) => pattern.trim().toLowerCase()),
+    updatedAt: Date.now(),
+  };
+  policyStore.set(getPolicyKey(accountId, recipe), policy);
+  logger.info(`File type policy updated for account ${accountId}${recipe ? ` (${recipe})` : ''}`);
+  return policy;
+};
+
+const deletePolicy = (accountId, recipe) => {
+  const key = getPolicyKey(accountId, recipe);
+  if (!policyStore.get(key)) return false;
+
+  policyStore.delete(key);
+  return true;
+};
+
+const listPolicies = ({ accountId } = {}) =>
+  policyStore.values().filter((policy) => !accountId || policy.accountId === String(accountId));
+
+module.exports = {
+  getPolicy,
+  setPolicy,
+  deletePolicy,
+  listPolicies,
+};
@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+const mondayService = require('./monday-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'reauth-service' });
+
+const NOTIFY_INTERVAL = 60 * 60 * 1000; // Remind a user at most once an hour
+const LINK_EXPIRY = '7d';
+
+const lastNotified = new Map();
+
+const getReauthUrl = ({ userId, accountId, backToUrl }) => {
+  const token = jwt.sign({ userId, accountId, backToUrl }, process.env.MONDAY_SIGNING_SECRET, {
+    expiresIn: LINK_EXPIRY,
+  });
+  return `${process.env.APP_BASE_URL}/auth?token=${token}`;
+};
+
+// The user's own token is the one that failed, so the notification goes out with a token that still works:
+// the short-lived token of the current request, or MONDAY_NOTIFICATION_TOKEN for background jobs.
+// Without APP_BASE_URL the link could only be relative, which is of no use outside the app, so none is sent.
+const notifyReauthRequired = async ({ userId, accountId, backToUrl, boardId, accessToken }) => {
+  if (!process.env.APP_BASE_URL) {
+    logger.warn(`User ${userId} has to re-authorize the app, but APP_BASE_URL is not set to build the link`);
+    return null;
+  }
+  const authUrl = getReauthUrl({ userId, accountId, backToUrl });
+  const token = accessToken || process.env.MONDAY_NOTIFICATION_TOKEN;
+
+  const previous = lastNotified.get(String(userId));
+  if (previous && Date.now() - previous < NOTIFY_INTERVAL) {
+    return authUrl;
+  }
+
+  if (!token || !boardId) {
+    logger.warn(`User ${userId} has to re-authorize the app, but no notification could be sent: ${authUrl}`);
+    return authUrl;
+  }
+
+  const text = `File copy/move is paused because the app lost access to your account. Reconnect it here: ${authUrl}`;
+  await mondayService.sendNotification({ accessToken: token, userId, text, boardId });
+  lastNotified.set(String(userId), Date.now());
+  logger.info(`Asked user ${userId} to re-authorize the app`);
+  return authUrl;
+};
+
+const markReauthorized = (userId) => {
+  lastNotified.delete(String(userId));
+};
+
+module.exports = {
+  getReauthUrl,
+  notifyReauthRequired,
+  markReauthorized,
+};
@@ -0,0 +1,539 @@
+const { default: PQueue } = require('p-queue');
+const mondayService = require('./monday-service');
+const jobService = require('./job-service');
+const TokenService = require('./token-service');
+const transferEngine = require('./transfer-engine');
+const policyService = require('./policy-service');
+const reauthService = require('./reauth-service');
+const FileFilter = require('../utils/FileFilter');
+const UpdateFilter = require('../utils/UpdateFilter');
+const FileValidator = require('../utils/FileValidator');
+const FileNameTemplate = require('../utils/FileNameTemplate');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'recipe-service' });
+
+// Shared by every recipe trigger and by bulk runs
+const queue = new PQueue({ concurrency: 5, intervalCap: 20, interval: 1000 });
+
+const DEFAULT_UPDATE_BODY = '{fileCount} file(s) from item {itemId}: {fileNames}';
+
+function getOptionValue(field) {
+  return typeof field === 'object' && field?.value ? field.value : field;
+}
+
+async function filterSourceFiles(accessToken, inputFields, files) {
+  const fileFilter = FileFilter.fromInputFields(inputFields);
+  if (fileFilter.isEmpty()) {
+    return { files, skipped: [] };
+  }
+
+  let sizes = {};
+  if (fileFilter.requiresSize() && files.length > 0) {
+    const assets = await mondayService.getAssets(
+      accessToken,
+      files.map((fileInfo) => fileInfo.assetId || fileInfo.id)
+    );
+    sizes = Object.fromEntries(assets.map((asset) => [String(asset.id), Number(asset.file_size)]));
+  }
+
+  const accepted = [];
+  const skipped = [];
+  for (const fileInfo of files) {
+    const reason = fileFilter.check(fileInfo, sizes[String(fileInfo.assetId || fileInfo.id)]);
+    if (reason) {
+      skipped.push({ name: fileInfo.name, reason });
+    } else {
+      accepted.push(fileInfo);
+    }
+  }
+
+  logger.info(`Recipe filters accepted ${accepted.length} of ${files.length} files`);
+  return { files: accepted, skipped };
+}
+
+async function getLinkedItems(accessToken, sourceItemId, connectedBoardColumnId, destinationBoardId) {
+  const connectedItemData = await mondayService.getColumnValue(accessToken, sourceItemId, connectedBoardColumnId);
+  if (!connectedItemData) return [];
+
+  try {
+    const parsedData = JSON.parse(connectedItemData);
+    return (parsedData?.linkedPulseIds || []).map((link) => ({
+      itemId: link.linkedPulseId,
+      boardId: link.boardId || destinationBoardId,
+    }));
+  } catch (parseError) {
+    logger.error('Error parsing connectedItemData', parseError);
+    return [];
+  }
+}
+
+// Names the copies get from the recipe's rename template; null keeps the original name
+async function getTargetNames(accessToken, inputFields, itemId, files) {
+  const template = new FileNameTemplate(inputFields.renameTemplate);
+  if (template.isEmpty() || files.length === 0) {
+    return files.map(() => null);
+  }
+
+  const item = await mondayService.getItemDetails(accessToken, itemId, template.getColumnIds());
+  const date = new Date();
+  return files.map((fileInfo, index) => template.render(fileInfo.name, { item, index: index + 1, date }));
+}
+
+// Reads the files of a file column, answering the request directly when there is nothing usable
+async function loadColumnFiles(accessToken, itemId, columnId) {
+  const fileValue = await mondayService.getColumnValue(accessToken, itemId, columnId);
+  if (!fileValue) {
+    logger.info(`No value found in source column ${columnId}`);
+    return { response: { status: 200, body: {} } };
+  }
+
+  let sourceFileData;
+  try {
+    sourceFileData = JSON.parse(fileValue);
+  } catch (err) {
+    logger.error('Failed to parse file data', { fileValue });
+    return { response: { status: 400, body: { message: 'Invalid file data format' } } };
+  }
+
+  if (!sourceFileData || !sourceFileData.files || !Array.isArray(sourceFileData.files)) {
+    return { response: { status: 400, body: { message: 'Invalid file data structure' } } };
+  }
+
+  return { files: sourceFileData.files.filter((fileInfo) => fileInfo.assetId) };
+}
+
+// Each recipe describes where its files come from and where they go; the transfer engine does the rest
+const recipes = {
+  column: {
+    lockField: 'itemId',
+    requiredFields: ['boardId', 'itemId', 'sourceColumnId', 'destinationColumnId'],
+    supportsMove: true,
+    source: 'columnAsset',
+    destination: 'fileColumn',
+    getMoveSource: ({ boardId, itemId, sourceColumnId }) => ({ boardId, itemId, columnId: sourceColumnId }),
+    loadFiles: (accessToken, { itemId, sourceColumnId }) => loadColumnFiles(accessToken, itemId, sourceColumnId),
+    getDestinations: async (accessToken, { boardId, itemId, destinationColumnId }) => ({
+      destinations: [{ boardId, itemId, columnId: destinationColumnId }],
+    }),
+  },
+  item: {
+    lockField: 'sourceItemId',
+    requiredFields: ['boardId', 'sourceItemId', 'targetItemId', 'fileColumnId', 'selectCopyMove'],
+    supportsMove: true,
+    source: 'columnAsset',
+    destination: 'fileColumn',
+    getMoveSource: ({ boardId, sourceItemId, fileColumnId }) => ({
+      boardId,
+      itemId: sourceItemId,
+      columnId: fileColumnId,
+    }),
+    loadFiles: (accessToken, { sourceItemId, fileColumnId }) =>
+      loadColumnFiles(accessToken, sourceItemId, fileColumnId),
+    getDestinations: async (accessToken, { boardId, targetItemId, fileColumnId }) => ({
+      destinations: [{ boardId, itemId: targetItemId, columnId: fileColumnId }],
+    }),
+  },
+  board: {
+    lockField: 'sourceItemId',
+    requiredFields: [
+      'sourceBoardId',
+      'sourceFileColumnId',
+      'destinationBoardId',
+      'destinationFileColumnIds',
+      'connectedBoardColumnId',
+      'sourceItemId',
+      'selectCopyMove',
+    ],
+    supportsMove: true,
+    source: 'columnAsset',
+    destination: 'fileColumn',
+    getMoveSource: ({ sourceBoardId, sourceItemId, sourceFileColumnId }) => ({
+      boardId: sourceBoardId,
+      itemId: sourceItemId,
+      columnId: sourceFileColumnId,
+    }),
+    loadFiles: (accessToken, { sourceItemId, sourceFileColumnId }) =>
+      loadColumnFiles(accessToken, sourceItemId, sourceFileColumnId),
+    getDestinations: async (accessToken, inputFields) => {
+      const { sourceItemId, connectedBoardColumnId, destinationBoardId, destinationFileColumnIds } = inputFields;
+      const linkedItems = await getLinkedItems(accessToken, sourceItemId, connectedBoardColumnId, destinationBoardId);
+      if (linkedItems.length === 0) {
+        logger.info('No connected items found.');
+        return {
+          response: { status: 400, body: { message: 'No linked items found in the connected board column.' } },
+        };
+      }
+
+      logger.info(`Found ${linkedItems.length} connected items`, { linkedItems });
+      const columnId = getOptionValue(destinationFileColumnIds);
+      return { destinations: linkedItems.map((linkedItem) => ({ ...linkedItem, columnId })) };
+    },
+  },
+  // Run by mirror sync rules: copies the given assets of a file column to the same column on every linked item
+  mirror: {
+    lockField: 'itemId',
+    requiredFields: [
+      'boardId',
+      'itemId',
+      'sourceColumnId',
+      'connectedBoardColumnId',
+      'destinationBoardId',
+      'destinationColumnId',
+      'assetIds',
+    ],
+    supportsMove: false,
+    source: 'columnAsset',
+    destination: 'fileColumn',
+    loadFiles: async (accessToken, { itemId, sourceColumnId, assetIds }) => {
+      const loaded = await loadColumnFiles(accessToken, itemId, sourceColumnId);
+      if (loaded.response) return loaded;
+
+      const wanted = new Set(assetIds.map(String));
+      return { files: loaded.files.filter((fileInfo) => wanted.has(String(fileInfo.assetId))) };
+    },
+    getDestinations: async (accessToken, inputFields) => {
+      const { itemId, connectedBoardColumnId, destinationBoardId, destinationColumnId } = inputFields;
+      const linkedItems = await getLinkedItems(accessToken, itemId, connectedBoardColumnId, destinationBoardId);
+      if (linkedItems.length === 0) {
+        return { response: { status: 200, body: { message: 'No linked items to mirror to' } } };
+      }
+      return { destinations: linkedItems.map((linkedItem) => ({ ...linkedItem, columnId: destinationColumnId })) };
+    },
+  },
+  update: {
+    lockField: 'itemId',
+    requiredFields: ['boardId', 'itemId', 'fileColumnId', 'updateId'],
+    supportsMove: false,
+    source: 'updateAsset',
+    destination: 'fileColumn',
+    loadFiles: async (accessToken, { updateId }) => {
+      const updateData = await mondayService.getUpdate(accessToken, updateId);
+      if (!updateData || !Array.isArray(updateData.assets) || updateData.assets.length === 0) {
+        logger.info('No files found in update.');
+        return { response: { status: 200, body: { message: 'No files found to copy.' } } };
+      }
+
+      logger.info(`Found ${updateData.assets.length} files in update`, { assets: updateData.assets });
+      return { files: updateData.assets.filter((fileInfo) => fileInfo.id) };
+    },
+    getDestinations: async (accessToken, { boardId, itemId, fileColumnId }) => ({
+      destinations: [{ boardId, itemId, columnId: fileColumnId }],
+    }),
+  },
+  column_to_update: {
+    lockField: 'itemId',
+    requiredFields: ['boardId', 'itemId', 'sourceColumnId'],
+    supportsMove: false,
+    source: 'columnAsset',
+    destination: 'itemUpdate',
+    loadFiles: (accessToken, { itemId, sourceColumnId }) => loadColumnFiles(accessToken, itemId, sourceColumnId),
+    // Posts on the item itself, or on every linked item when a connect boards column is given
+    getDestinations: async (accessToken, inputFields) => {
+      const { boardId, itemId, connectedBoardColumnId, destinationBoardId, updateBody } = inputFields;
+      const bodyTemplate = updateBody || DEFAULT_UPDATE_BODY;
+      if (!connectedBoardColumnId) {
+        return { destinations: [{ boardId, itemId, bodyTemplate }] };
+      }
+
+      const linkedItems = await getLinkedItems(
+        accessToken,
+        itemId,
+        connectedBoardColumnId,
+        destinationBoardId || boardId
+      );
+      if (linkedItems.length === 0) {
+        logger.info('No connected items found.');
+        return {
+          response: { status: 400, body: { message: 'No linked items found in the connected board column.' } },
+        };
+      }
+      return { destinations: linkedItems.map((linkedItem) => ({ ...linkedItem, bodyTemplate })) };
+    },
+  },
+  update_scan: {
+    lockField: 'itemId',
+    requiredFields: ['boardId', 'itemId', 'fileColumnId'],
+    supportsMove: false,
+    source: 'updateAsset',
+    destination: 'fileColumn',
+    loadFiles: async (accessToken, inputFields) => {
+      const updateFilter = UpdateFilter.fromInputFields(inputFields);
+      const updates = (await mondayService.getItemUpdates(accessToken, inputFields.itemId)).flatMap((update) => [
+        update,
+        ...(update.replies || []),
+      ]);
+      const matchingUpdates = updates.filter((update) => !updateFilter.check(update));
+      logger.info(`Update filters matched ${matchingUpdates.length} of ${updates.length} updates and replies`);
+
+      // The same asset can be attached to more than one update
+      const files = new Map();
+      for (const asset of matchingUpdates.flatMap((update) => update.assets || [])) {
+        if (asset.id) files.set(String(asset.id), asset);
+      }
+      if (files.size === 0) {
+        logger.info('No files found in matching updates.');
+        return { response: { status: 200, body: { message: 'No files found to copy.' } } };
+      }
+
+      return { files: [...files.values()] };
+    },
+    getDestinations: async (accessToken, { boardId, itemId, fileColumnId }) => ({
+      destinations: [{ boardId, itemId, columnId: fileColumnId }],
+    }),
+  },
+};
+
+const reply = (status, body) => ({ status, body });
+
+const isEnabled = (field) => [true, 'true', 'on', 1, '1'].includes(getOptionValue(field));
+
+// Destinations the writer cannot reach: deleted items, or a file column that is not on the item's board
+async function findMissingDestinations(accessToken, recipe, destinations) {
+  const items = await mondayService.getItems(
+    accessToken,
+    destinations.map((destination) => destination.itemId)
+  );
+  const boardsByItem = Object.fromEntries(items.map((item) => [String(item.id), String(item.board?.id)]));
+  const columnsByBoard = {};
+
+  const missing = [];
+  for (const destination of destinations) {
+    const boardId = boardsByItem[String(destination.itemId)];
+    if (!boardId) {
+      missing.push({ ...destination, reason: 'Item not found' });
+      continue;
+    }
+    if (recipe.destination !== 'fileColumn') continue;
+
+    columnsByBoard[boardId] = columnsByBoard[boardId] || (await mondayService.getBoardColumns(accessToken, boardId));
+    const column = (columnsByBoard[boardId] || []).find((entry) => entry.id === destination.columnId);
+    if (!column) {
+      missing.push({ ...destination, reason: `Column ${destination.columnId} not found on board ${boardId}` });
+    } else if (column.type !== 'file') {
+      missing.push({ ...destination, reason: `Column ${destination.columnId} is not a file column` });
+    }
+  }
+  return missing;
+}
+
+// Resolves and validates everything a run would touch, without uploading or clearing anything
+async function planRecipe(accessToken, { recipe, policy, inputFields, moveSource }) {
+  const plan = { success: true, dryRun: true, files: [], rejected: [], missingDestinations: [], clearsSource: null };
+
+  const loaded = await recipe.loadFiles(accessToken, inputFields);
+  if (loaded.response) {
+    return { ...plan, message: loaded.response.body.message || 'No files found to copy.' };
+  }
+
+  const { destinations, response } = await recipe.getDestinations(accessToken, inputFields);
+  if (response) {
+    return { ...plan, missingDestinations: [{ reason: response.body.message }] };
+  }
+
+  plan.missingDestinations = await findMissingDestinations(accessToken, recipe, destinations);
+  const missingIds = new Set(plan.missingDestinations.map((destination) => String(destination.itemId)));
+  const targets = destinations.filter((destination) => !missingIds.has(String(destination.itemId)));
+
+  const { files, skipped } = await filterSourceFiles(accessToken, inputFields, loaded.files);
+  plan.rejected.push(...skipped);
+
+  const targetNames = await getTargetNames(accessToken, inputFields, inputFields[recipe.lockField], files);
+  const source = transferEngine.sourceResolvers[recipe.source];
+  for (const [index, fileInfo] of files.entries()) {
+    try {
+      const publicUrl = await source.getPublicUrl({ accessToken, fileInfo });
+      const validation = await FileValidator.validatePublicUrl(publicUrl, fileInfo.name, policy);
+      if (!validation.isValid) {
+        plan.rejected.push({ name: fileInfo.name, reason: validation.reason });
+        continue;
+      }
+      plan.files.push({
+        name: fileInfo.name,
+        targetName: targetNames[index] || fileInfo.name,
+        contentType: validation.contentType,
+        destinations: targets,
+      });
+    } catch (err) {
+      plan.rejected.push({ name: fileInfo.name, reason: err.message });
+    }
+  }
+
+  // After a move, the source column loses the files verified in their destinations
+  if (moveSource && plan.files.length > 0 && targets.length > 0) {
+    plan.clearsSource = moveSource;
+  }
+  plan.message = `Would copy ${plan.files.length} files to ${targets.length} destinations`;
+  return plan;
+}
+
+// Locks the item and queues its files. Resolves to the { status, body } to answer with, plus the started job
+// and move source when a job was started.
+async function startRecipe(type, { userId, accountId, backToUrl, shortLivedToken, inputFields }) {
+  const recipe = recipes[type];
+  const lockId = inputFields?.[recipe.lockField];
+  let locked = false;
+
+  try {
+    if (!lockId) {
+      return reply(400, { message: 'Missing itemId in payload' });
+    }
+
+    // A token that can no longer be refreshed counts as missing, so the user is asked to reconnect
+    const accessToken = await TokenService.getToken(userId).catch((err) => {
+      logger.warn(`Could not get a token for user ${userId}`, err);
+      return null;
+    });
+    if (!accessToken) {
+      // The short-lived token of this request still works, so it can carry the reconnect link
+      const authUrl = await reauthService.notifyReauthRequired({
+        userId,
+        accountId,
+        backToUrl,
+        boardId: inputFields.boardId || inputFields.sourceBoardId,
+        accessToken: shortLivedToken,
+      });
+      return reply(401, { message: 'No valid token available', authUrl });
+    }
+
+    const actionValue = getOptionValue(inputFields.selectCopyMove);
+    if (recipe.supportsMove && !['COPY', 'MOVE'].includes(actionValue)) {
+      logger.error(`Invalid selectCopyMove value: ${actionValue}`);
+      return reply(400, { message: 'Invalid action specified' });
+    }
+
+    if (recipe.requiredFields.some((field) => !inputFields[field])) {
+      logger.error('Missing required parameters', {
+        inputFields: Object.fromEntries(recipe.requiredFields.map((field) => [field, inputFields[field]])),
+      });
+      return reply(400, { message: 'Missing required parameters', required: recipe.requiredFields });
+    }
+
+    const moveSource = recipe.supportsMove && actionValue === 'MOVE' ? recipe.getMoveSource(inputFields) : null;
+
+    if (isEnabled(inputFields.dryRun)) {
+      return reply(
+        200,
+        await planRecipe(accessToken, {
+          recipe,
+          policy: policyService.getPolicy(accountId, type),
+          inputFields,
+          moveSource,
+        })
+      );
+    }
+
+    if (transferEngine.isProcessing(lockId)) {
+      logger.info(`Already processing item ${lockId}, skipping duplicate request.`);
+      return reply(200, {
+        success: true,
+        message: 'Already processing',
+        jobId: transferEngine.getActiveJobId(lockId),
+      });
+    }
+
+    transferEngine.lockItem(lockId, {
+      type,
+      source: recipe.source,
+      destination: recipe.destination,
+      userId,
+      accountId,
+      boardId: inputFields.boardId || inputFields.sourceBoardId,
+      backToUrl,
+      moveSource,
+      summaryMode: getOptionValue(inputFields.summaryMode),
+    });
+    locked = true;
+
+    const loaded = await recipe.loadFiles(accessToken, inputFields);
+    if (loaded.response) {
+      transferEngine.releaseItem(lockId);
+      return reply(loaded.response.status, loaded.response.body);
+    }
+
+    const { destinations, response } = await recipe.getDestinations(accessToken, inputFields);
+    if (response) {
+      transferEngine.releaseItem(lockId);
+      return reply(response.status, response.body);
+    }
+
+    const { files, skipped } = await filterSourceFiles(accessToken, inputFields, loaded.files);
+    if (files.length === 0) {
+      transferEngine.releaseItem(lockId);
+      return reply(200, { success: true, message: 'No files matched the recipe filters', skipped });
+    }
+
+    const targetNames = await getTargetNames(accessToken, inputFields, lockId, files);
+    const tasks = files.map((fileInfo, index) => ({
+      userId,
+      fileInfo,
+      fileName: targetNames[index],
+      destinations,
+      duplicateMode: getOptionValue(inputFields.duplicateMode),
+      duplicateMatch: getOptionValue(inputFields.duplicateMatch),
+    }));
+    const job = transferEngine.startJob(lockId, tasks, { skipped });
+
+    return {
+      ...reply(200, {
+        success: true,
+        jobId: job.id,
+        message: `Queued ${tasks.length} files for processing`,
+        skipped,
+        destinations: destinations.map((destination) => destination.itemId),
+        move: null,
+      }),
+      job,
+      moveSource,
+    };
+  } catch (err) {
+    logger.error(`Recipe ${type} failed`, err);
+    // A dry run or a request that failed before locking must not release another request's lock
+    if (locked) {
+      transferEngine.releaseItem(lockId);
+    }
+    return reply(500, { message: 'Internal server error' });
+  }
+}
+
+// Waits for a started job where needed: a move clears its source only once the files are verified in their
+// destinations, and callers outside an HTTP request (bulk runs, mirroring) pass waitForCompletion to get the
+// result only once the item's queue is done
+async function finishRecipe({ job, moveSource, ...result }, { waitForCompletion }) {
+  if (!job) return result;
+
+  if (moveSource || waitForCompletion) {
+    await transferEngine.waitForItem(job.itemId);
+  }
+
+  // A job parked for re-authorization completes the move itself once it resumes
+  let moveResult = null;
+  if (moveSource && jobService.getJob(job.id)?.status !== 'waiting_for_auth') {
+    try {
+      moveResult = await transferEngine.completeMove(job.id, moveSource);
+    } catch (err) {
+      logger.error('Error completing move', err);
+    }
+  }
+  return reply(result.status, { ...result.body, move: moveResult });
+}
+
+// Runs one recipe for one trigger and resolves to the { status, body } to answer with
+async function runRecipe(type, options) {
+  return finishRecipe(await startRecipe(type, options), options);
+}
+
+// Runs a recipe for a caller that is not already holding a slot of the shared queue. Only locking the item and
+// queueing its files takes a slot; the wait for the transfer happens outside it, so long transfers do not keep
+// monday-triggered recipes waiting.
+async function queueRecipe(type, options) {
+  const started = await queue.add(Logger.bindContext(() => startRecipe(type, options)));
+  return finishRecipe(started, options);
+}
+
+module.exports = {
+  queue,
+  getOptionValue,
+  runRecipe,
+  queueRecipe,
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const ClamdClient = require('../utils/ClamdClient');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'scan-service' });
+
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(__dirname, '../../data/quarantine');
+
+// Scanners read a downloaded file and resolve to { clean } or { clean: false, signature }
+const scanners = {
+  clamav: () => {
+    const client = new ClamdClient({
+      socketPath: process.env.CLAMD_SOCKET,
+      host: process.env.CLAMD_HOST,
+      port: Number(process.env.CLAMD_PORT) || undefined,
+    });
+    return { scan: (download) => client.scanStream(download.createStream()) };
+  },
+};
+
+let scanner;
+const getScanner = () => {
+  if (scanner === undefined) {
+    const name = process.env.FILE_SCANNER;
+    if (name && !scanners[name]) {
+      throw new Error(`Unknown file scanner: ${name}`);
+    }
+    scanner = name ? { name, ...scanners[name]() } : null;
+  }
+  return scanner;
+};
+
+// Scanning reads the file once before it is uploaded, so downloads have to be kept on disk
+const isEnabled = () => Boolean(getScanner());
+
+const scanDownload = async (download, fileName) => {
+  const active = getScanner();
+  if (!active) return { clean: true };
+
+  const result = await active.scan(download);
+  logger.info(`${active.name} scanned ${fileName}: ${result.clean ? 'clean' : result.signature}`);
+  return { ...result, scanner: active.name };
+};
+
+// Keeps a copy of an infected file, and what it was, out of every board for later review
+const quarantine = async (download, details) => {
+  await fs.promises.mkdir(QUARANTINE_DIR, { recursive: true });
+  const baseName = `${Date.now()}-${crypto.randomUUID()}`;
+  const filePath = path.join(QUARANTINE_DIR, `${baseName}.bin`);
+
+  await pipeline(download.createStream(), fs.createWriteStream(filePath, { mode: 0o600 }));
+  await fs.promises.writeFile(
+    path.join(QUARANTINE_DIR, `${baseName}.json`),
+    JSON.stringify({ ...details, size: download.size, hash: download.hash, quarantinedAt: Date.now() }, null, 2)
+  );
+  logger.warn(`Quarantined ${details.fileName} (${details.signature}) as ${filePath}`);
+  return filePath;
+};
+
+module.exports = {
+  scanners,
+  isEnabled,
+  scanDownload,
+  quarantine,
+};
@@ -0,0 +1,76 @@
+const mondayService = require('./monday-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'summary-service' });
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
+  );
+
+// Sorts the files of a finished job into succeeded, skipped and failed, each with the reason where there is one
+const getOutcomes = (job) => {
+  const outcomes = { succeeded: [], skipped: [...(job.skippedFiles || [])], failed: [] };
+
+  for (const file of job.files) {
+    const name = file.targetName || file.name;
+    const results = Object.values(file.destinations || {});
+
+    if (file.status === 'failed') {
+      outcomes.failed.push({ name, reason: file.lastError || 'Unknown error' });
+    } else if (results.length > 0 && results.every((result) => result.duplicate === 'skipped')) {
+      outcomes.skipped.push({ name, reason: 'Already in the destination' });
+    } else if (results.some((result) => result.status === 'skipped')) {
+      const reason = results.find((result) => result.status === 'skipped').error;
+      outcomes.skipped.push({ name, reason });
+    } else {
+      outcomes.succeeded.push({ name });
+    }
+  }
+  return outcomes;
+};
+
+const getHeadline = (job, itemId, outcomes) => {
+  const seconds = (((job.endTime || Date.now()) - job.startTime) / 1000).toFixed(0);
+  return (
+    `File transfer for item ${itemId} finished in ${seconds}s: ${outcomes.succeeded.length} copied, ` +
+    `${outcomes.skipped.length} skipped, ${outcomes.failed.length} failed`
+  );
+};
+
+const renderUpdate = (job, itemId, outcomes) => {
+  const section = (title, files) =>
+    files.length === 0
+      ? ''
+      : `<p><strong>${title}</strong></p><ul>${files
+          .map((file) => `<li>${escapeHtml(file.name)}${file.reason ? ` - ${escapeHtml(file.reason)}` : ''}</li>`)
+          .join('')}</ul>`;
+
+  return [
+    `<p>${escapeHtml(getHeadline(job, itemId, outcomes))}</p>`,
+    section('Copied', outcomes.succeeded),
+    section('Skipped', outcomes.skipped),
+    section('Failed', outcomes.failed),
+  ].join('');
+};
+
+// Posts the summary of a finished job as an update on the source item, a notification to its user, or both
+const sendSummary = async ({ job, mode, accessToken, itemId, boardId }) => {
+  if (!job || !['NOTIFICATION', 'UPDATE', 'BOTH'].includes(mode)) return;
+
+  const outcomes = getOutcomes(job);
+  if (mode === 'UPDATE' || mode === 'BOTH') {
+    await mondayService.createUpdate(accessToken, itemId, renderUpdate(job, itemId, outcomes));
+  }
+  if ((mode === 'NOTIFICATION' || mode === 'BOTH') && boardId) {
+    const text = getHeadline(job, itemId, outcomes);
+    await mondayService.sendNotification({ accessToken, userId: job.userId, text, boardId });
+  }
+  logger.info(`Sent ${mode.toLowerCase()} summary of job ${job.id} for item ${itemId}`);
+};
+
+module.exports = {
+  getOutcomes,
+  sendSummary,
+};
@@ -0,0 +1,221 @@
+const path = require('path');
+const crypto = require('crypto');
+const mondayService = require('./monday-service');
+const TokenService = require('./token-service');
+const recipeService = require('./recipe-service');
+const mirrorService = require('./mirror-service');
+const { createJobStore } = require('../utils/JobStore');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'sync-service' });
+
+const WEBHOOK_PATH = '/monday/webhook';
+const SEEN_EVENT_TTL = 10 * 60 * 1000; // monday retries a webhook that was not answered in time
+
+// Rules are configuration whose webhooks outlive the process, so JOB_STORE_DRIVER does not apply to them
+const ruleStore = createJobStore({ driver: 'file', filePath: path.join(__dirname, '../../data/sync-rules.json') });
+const seenEvents = new Map();
+
+// Recipes a sync rule can run, the webhook that triggers them, and how an event fills in the recipe's fields.
+// The rest of the recipe's fields (destination columns, duplicate mode, ...) come from the rule. A trigger with
+// `handle` takes the event itself, and one with `getWatchedColumns` listens on more than the rule's own column.
+const triggers = {
+  column: {
+    event: 'change_specific_column_value',
+    getInputFields: ({ boardId, pulseId, columnId }) => ({ boardId, itemId: pulseId, sourceColumnId: columnId }),
+  },
+  column_to_update: {
+    event: 'change_specific_column_value',
+    getInputFields: ({ boardId, pulseId, columnId }) => ({ boardId, itemId: pulseId, sourceColumnId: columnId }),
+  },
+  board: {
+    event: 'change_specific_column_value',
+    getInputFields: ({ boardId, pulseId, columnId }) => ({
+      sourceBoardId: boardId,
+      sourceItemId: pulseId,
+      sourceFileColumnId: columnId,
+    }),
+  },
+  update: {
+    event: 'create_update',
+    getInputFields: ({ boardId, pulseId, updateId }) => ({ boardId, itemId: pulseId, updateId }),
+  },
+  update_scan: {
+    event: 'create_update',
+    getInputFields: ({ boardId, pulseId }) => ({ boardId, itemId: pulseId }),
+  },
+  mirror: {
+    event: 'change_specific_column_value',
+    validate: mirrorService.validateRule,
+    getWatchedColumns: mirrorService.getSides,
+    handle: mirrorService.handleEvent,
+  },
+};
+
+const getWatchedColumns = (rule) =>
+  triggers[rule.recipe].getWatchedColumns?.(rule) || [{ boardId: rule.boardId, columnId: rule.columnId }];
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_SYNC_RULE' });
+
+const getAssetIds = (value) => new Set((value?.files || []).map((file) => String(file.assetId || file.id)));
+
+// A column event only means work when files were added; removals (such as a completed move) are ignored
+const hasNewFiles = (event) => {
+  const previous = getAssetIds(event.previousValue);
+  return [...getAssetIds(event.value)].some((assetId) => !previous.has(assetId));
+};
+
+const isDuplicateEvent = (triggerUuid) => {
+  if (!triggerUuid) return false;
+  const now = Date.now();
+  for (const [key, seenAt] of seenEvents) {
+    if (now - seenAt > SEEN_EVENT_TTL) seenEvents.delete(key);
+  }
+  if (seenEvents.has(triggerUuid)) return true;
+  seenEvents.set(triggerUuid, now);
+  return false;
+};
+
+const deleteWebhooks = async (accessToken, rule) => {
+  for (const webhookId of rule.webhookIds) {
+    try {
+      await mondayService.deleteWebhook(accessToken, webhookId);
+    } catch (err) {
+      logger.warn(`Could not delete webhook ${webhookId} of sync rule ${rule.id}`, err);
+    }
+  }
+};
+
+// Registers the rule's webhooks with the user's token; the rule id in the URL tells the receiver which rule to run
+const createRule = async ({ userId, accountId, boardId, recipe, columnId, inputFields = {} }) => {
+  const trigger = triggers[recipe];
+  if (!trigger) {
+    throw invalid(`recipe must be one of ${Object.keys(triggers).join(', ')}`);
+  }
+  if (!boardId) {
+    throw invalid('boardId is required');
+  }
+  if (trigger.event === 'change_specific_column_value' && !columnId) {
+    throw invalid('columnId is required for file column rules');
+  }
+  const problem = trigger.validate?.({ columnId, inputFields });
+  if (problem) {
+    throw invalid(problem);
+  }
+  if (!process.env.APP_BASE_URL) {
+    throw invalid('APP_BASE_URL has to be set so monday can reach the webhook');
+  }
+
+  const accessToken = await TokenService.getToken(userId);
+  if (!accessToken) {
+    throw Object.assign(new Error(`User ${userId} is not authenticated`), { code: 'NOT_AUTHENTICATED' });
+  }
+
+  const rule = {
+    id: crypto.randomUUID(),
+    userId,
+    accountId,
+    boardId: String(boardId),
+    recipe,
+    columnId: columnId || null,
+    // Sync runs again for every change, so files that are already there are skipped unless the rule says otherwise
+    inputFields: { selectCopyMove: 'COPY', duplicateMode: 'SKIP', ...inputFields },
+    webhookIds: [],
+    createdAt: Date.now(),
+  };
+
+  try {
+    for (const watched of getWatchedColumns(rule)) {
+      const webhook = await mondayService.createWebhook(accessToken, {
+        boardId: watched.boardId,
+        url: `${process.env.APP_BASE_URL}${WEBHOOK_PATH}?rule=${rule.id}`,
+        event: trigger.event,
+        config: watched.columnId ? { columnId: watched.columnId } : null,
+      });
+      rule.webhookIds.push(webhook.id);
+    }
+  } catch (err) {
+    // A rule that only half exists would sync in one direction
+    await deleteWebhooks(accessToken, rule);
+    throw err;
+  }
+  ruleStore.set(rule.id, rule);
+  logger.info(`Created sync rule ${rule.id} (${recipe}) with webhooks ${rule.webhookIds.join(', ')}`);
+  return rule;
+};
+
+const getRule = (ruleId) => ruleStore.get(ruleId) || null;
+
+const listRules = ({ accountId } = {}) =>
+  ruleStore
+    .values()
+    .filter((rule) => !accountId || String(rule.accountId) === String(accountId))
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+// The webhooks are removed from monday first; a rule whose webhooks are already gone is removed anyway
+const deleteRule = async (ruleId) => {
+  const rule = ruleStore.get(ruleId);
+  if (!rule) return false;
+
+  const accessToken = await TokenService.getToken(rule.userId);
+  if (accessToken) {
+    await deleteWebhooks(accessToken, rule);
+  }
+  if (rule.recipe === 'mirror') {
+    mirrorService.deleteLinks(ruleId);
+  }
+  ruleStore.delete(ruleId);
+  logger.info(`Deleted sync rule ${ruleId}`);
+  return true;
+};
+
+// Runs the rule for one webhook event and resolves to the recipe's { status, body }, or null when there is
+// nothing to do
+const handleEvent = async (ruleId, event) => {
+  const rule = ruleStore.get(ruleId);
+  if (!rule) {
+    logger.warn(`Webhook event for unknown sync rule ${ruleId}`);
+    return null;
+  }
+  const isWatched = getWatchedColumns(rule).some(
+    (watched) => watched.boardId === String(event.boardId) && (!watched.columnId || watched.columnId === event.columnId)
+  );
+  if (!isWatched) {
+    logger.warn(`Webhook event for board ${event.boardId} does not match sync rule ${ruleId}`);
+    return null;
+  }
+  if (isDuplicateEvent(event.triggerUuid)) {
+    logger.info(`Skipping repeated webhook event ${event.triggerUuid}`);
+    return null;
+  }
+  if (triggers[rule.recipe].handle) {
+    return triggers[rule.recipe].handle(rule, event);
+  }
+  if (rule.columnId && !hasNewFiles(event)) {
+    return null;
+  }
+
+  const inputFields = { ...rule.inputFields, ...triggers[rule.recipe].getInputFields(event) };
+  const result = await recipeService.queue.add(
+    Logger.bindContext(() =>
+      recipeService.runRecipe(rule.recipe, {
+        userId: rule.userId,
+        accountId: rule.accountId,
+        backToUrl: null,
+        shortLivedToken: null,
+        inputFields,
+      })
+    )
+  );
+  logger.info(`Sync rule ${ruleId} ran for item ${event.pulseId}: ${result.status} ${result.body.message || ''}`);
+  return result;
+};
+
+module.exports = {
+  triggers,
+  createRule,
+  getRule,
+  listRules,
+  deleteRule,
+  handleEvent,
+};
@@ -1,47 +1,115 @@
-
+const { SecureStorage } = require('@mondaycom/apps-sdk');
 const OAuthService = require('./oauth-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'token-service' });
+
+const secureStorage = new SecureStorage(process.env.MONDAY_API_TOKEN);
 
 const tokenCache = new Map();
 const tokenLocks = new Map();
 
+const REFRESH_MARGIN = 5 * 60 * 1000; // Refresh tokens 5 minutes before they expire
+
 class TokenService {
-  static async getToken(itemId) {
-    const cached = tokenCache.get(itemId);
-    if (cached) {
-      if (Date.now() - cached.timestamp < 45 * 60 * 1000) {
-        return cached.accessToken;
+  // Tokens stored before refresh support are plain access token strings
+  static toRecord(stored) {
+    if (!stored) return null;
+    if (typeof stored === 'string') {
+      return { accessToken: stored, refreshToken: null, expiresAt: null };
+    }
+    return stored;
+  }
+
+  static async getRecord(userId) {
+    const key = String(userId);
+    if (!tokenCache.has(key)) {
+      const record = TokenService.toRecord(await secureStorage.get(key));
+      if (!record) return null;
+      tokenCache.set(key, record);
+    }
+    return tokenCache.get(key);
+  }
+
+  static needsRefresh(record) {
+    return Boolean(record.refreshToken && record.expiresAt && record.expiresAt - Date.now() < REFRESH_MARGIN);
+  }
+
+  static async getToken(userId) {
+    const record = await TokenService.getRecord(userId);
+    if (!record) return null;
+    if (!TokenService.needsRefresh(record)) {
+      return record.accessToken;
+    }
+
+    return TokenService.refreshToken(userId);
+  }
+
+  // Concurrent jobs for the same user share one refresh request
+  static async refreshToken(userId) {
+    const key = String(userId);
+    if (tokenLocks.has(key)) {
+      return tokenLocks.get(key);
+    }
+
+    const refresh = (async () => {
+      const record = await TokenService.getRecord(key);
+      if (!record?.refreshToken) {
+        throw Object.assign(new Error('No refresh token available - OAuth flow required'), { code: 'OAUTH_REQUIRED' });
       }
-      
-      // Token expired, refresh it
+
       try {
-        const refreshed = await OAuthService.refreshToken(cached.refreshToken);
-        tokenCache.set(itemId, {
-          accessToken: refreshed.access_token,
-          refreshToken: refreshed.refresh_token,
-          timestamp: Date.now()
-        });
-        return refreshed.access_token;
+        const refreshed = await OAuthService.refreshToken(record.refreshToken);
+        const updated = await TokenService.setTokens(key, refreshed);
+        logger.info(`Refreshed access token for user ${key}`);
+        return updated.accessToken;
       } catch (error) {
-        console.error('Token refresh failed:', error);
-        tokenCache.delete(itemId);
-        throw new Error('Failed to get valid token');
+        logger.error('Token refresh failed', error);
+        // An expired token is useless; one that is only close to expiry can still be used
+        if (record.expiresAt && record.expiresAt > Date.now()) {
+          return record.accessToken;
+        }
+        throw Object.assign(new Error('Failed to get valid token'), { code: 'TOKEN_REFRESH_FAILED' });
       }
+    })();
+
+    tokenLocks.set(key, refresh);
+    try {
+      return await refresh;
+    } finally {
+      tokenLocks.delete(key);
     }
+  }
 
-    throw new Error('No token available - OAuth flow required');
+  // Marks the cached token as expired so the next getToken refreshes it. Returns false when it cannot be refreshed.
+  static async expireToken(userId) {
+    const record = await TokenService.getRecord(userId);
+    if (!record?.refreshToken) return false;
+
+    record.expiresAt = Date.now();
+    return true;
   }
 
-  static setTokens(itemId, accessToken, refreshToken) {
-    tokenCache.set(itemId, {
-      accessToken,
-      refreshToken,
-      timestamp: Date.now()
-    });
+  static async setTokens(userId, token) {
+    const key = String(userId);
+    const previous = tokenCache.get(key);
+    const record = {
+      accessToken: token.access_token,
+      // Keep the old refresh token when the provider does not rotate it
+      refreshToken: token.refresh_token || previous?.refreshToken || null,
+      expiresAt: token.expires_in ? Date.now() + Number(token.expires_in) * 1000 : null,
+    };
+
+    tokenCache.set(key, record);
+    await secureStorage.set(key, record);
+    return record;
   }
 
-  static clearToken(itemId) {
-    tokenCache.delete(itemId);
-    tokenLocks.delete(itemId);
+  static async clearToken(userId) {
+    const key = String(userId);
+    tokenCache.delete(key);
+    tokenLocks.delete(key);
+    await secureStorage.delete(key);
   }
 }
 
@@ -0,0 +1,989 @@
+const fs = require('fs');
+const path = require('path');
+const mondayService = require('./monday-service');
+const jobService = require('./job-service');
+const duplicateService = require('./duplicate-service');
+const transferService = require('./transfer-service');
+const TokenService = require('./token-service');
+const reauthService = require('./reauth-service');
+const policyService = require('./policy-service');
+const scanService = require('./scan-service');
+const summaryService = require('./summary-service');
+const RetryStrategy = require('../utils/RetryStrategy');
+const FileValidator = require('../utils/FileValidator');
+const CircuitBreaker = require('../utils/CircuitBreaker');
+const MetricsTracker = require('../utils/MetricsTracker');
+const { createJobStore } = require('../utils/JobStore');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'transfer-engine' });
+
+const retryStrategy = new RetryStrategy();
+const circuitBreaker = new CircuitBreaker();
+const metricsTracker = new MetricsTracker();
+const jobStore = createJobStore();
+
+metricsTracker.defineCounter('file_transfers_total', 'Files transferred, by recipe and outcome');
+metricsTracker.defineCounter('file_transfer_errors_total', 'Failed file transfer attempts, by recipe and error class');
+metricsTracker.defineCounter('circuit_breaker_transitions_total', 'Circuit breaker state changes, by new state');
+metricsTracker.defineCounter('file_scan_detections_total', 'Files quarantined by the content scanner, by scanner');
+metricsTracker.defineHistogram(
+  'file_transfer_duration_seconds',
+  'Time spent transferring one file, including retries inside the attempt',
+  [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+);
+metricsTracker.defineHistogram(
+  'file_transfer_bytes',
+  'Size of transferred files',
+  [10e3, 100e3, 1e6, 10e6, 50e6, 100e6, 500e6]
+);
+
+const processingItems = {};
+const fileQueues = {};
+const processingStatus = {};
+const itemRateLimits = {};
+
+const TEMP_DIR = path.join(__dirname, '../../temp');
+const MAX_CONCURRENT_FILES = 3;
+const RATE_LIMIT_WINDOW = 60000; // 1 minute
+const MAX_REQUESTS_PER_WINDOW = 20;
+const ITEM_LOCK_TIMEOUT = 3000000; // 50 minutes
+const BUSY_ITEM_DELAY = 30 * 1000; // How often a parked job is checked on by callers waiting for its item
+
+// Source resolvers turn a queued file into a downloadable URL
+const sourceResolvers = {
+  columnAsset: {
+    getFileKey: (fileInfo) => String(fileInfo.assetId),
+    getPublicUrl: ({ accessToken, fileInfo }) => {
+      logger.info(`Fetching public URL for asset ${fileInfo.assetId}...`);
+      return mondayService.getAssetPublicUrl(accessToken, fileInfo.assetId);
+    },
+  },
+  // The URL that came with the update is signed and expires, so it is looked up again when the file is processed
+  updateAsset: {
+    getFileKey: (fileInfo) => String(fileInfo.id),
+    getPublicUrl: ({ accessToken, fileInfo }) => mondayService.getAssetPublicUrl(accessToken, fileInfo.id),
+  },
+};
+
+// Destination writers put a downloaded file somewhere; `prepare` may rename or skip it per destination, and
+// `finish` runs once the upload succeeded
+const destinationWriters = {
+  fileColumn: {
+    prepare: ({ accessToken, task, destination, download }) =>
+      duplicateService.resolveDuplicate({
+        accessToken,
+        boardId: destination.boardId,
+        itemId: destination.itemId,
+        columnId: destination.columnId,
+        fileName: getTargetName(task),
+        fileSize: download.size,
+        fileHash: download.hash,
+        mode: task.duplicateMode,
+        match: task.duplicateMatch,
+      }),
+    write: ({ accessToken, destination, fileName, download }) =>
+      transferService.uploadToColumn({
+        accessToken,
+        itemId: destination.itemId,
+        columnId: destination.columnId,
+        fileName,
+        download,
+      }),
+    finish: async ({ accessToken, destination, prepared }) => {
+      if (!prepared.replaces?.length) return;
+      await duplicateService.removeAssets({
+        accessToken,
+        boardId: destination.boardId,
+        itemId: destination.itemId,
+        columnId: destination.columnId,
+        assetIds: prepared.replaces,
+      });
+    },
+  },
+  // Posts files as attachments of one new update per destination item. The update is created with the
+  // first file and its id kept in the job state, so later files and resumed jobs attach to the same update.
+  itemUpdate: {
+    prepare: async ({ accessToken, task, destination, state }) => {
+      state.updateIds = state.updateIds || {};
+      if (!state.updateIds[destination.itemId]) {
+        const job = jobService.getJob(state.jobId);
+        const body = renderTemplate(destination.bodyTemplate, {
+          itemId: state.sourceItemId,
+          fileCount: job?.files.length || 1,
+          fileNames: (job?.files || [task.fileInfo]).map((file) => file.targetName || file.name).join(', '),
+          date: new Date().toISOString().slice(0, 10),
+        });
+
+        const update = await mondayService.createUpdate(accessToken, destination.itemId, body);
+        if (!update?.id) {
+          throw new Error(`Failed to create update on item ${destination.itemId}`);
+        }
+        state.updateIds[destination.itemId] = update.id;
+      }
+      return { fileName: getTargetName(task), updateId: state.updateIds[destination.itemId] };
+    },
+    write: ({ accessToken, fileName, download, prepared }) =>
+      transferService.uploadToUpdate({
+        accessToken,
+        updateId: prepared.updateId,
+        fileName,
+        download,
+      }),
+  },
+};
+
+// The name a file is uploaded under, before duplicate handling
+function getTargetName(task) {
+  return task.fileName || task.fileInfo.name;
+}
+
+function renderTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+function getStrategies(itemId) {
+  const { source, destination } = processingItems[itemId] || {};
+  if (!sourceResolvers[source] || !destinationWriters[destination]) {
+    throw new Error(`Unknown transfer strategy for item ${itemId}: ${source} -> ${destination}`);
+  }
+  return { source: sourceResolvers[source], destination: destinationWriters[destination] };
+}
+
+function unloadItem(itemId) {
+  if (processingItems[itemId]?.timeoutId) {
+    clearTimeout(processingItems[itemId].timeoutId);
+  }
+  delete processingStatus[itemId];
+  delete fileQueues[itemId];
+  delete processingItems[itemId];
+  delete itemRateLimits[itemId];
+}
+
+function cleanupItem(itemId) {
+  unloadItem(itemId);
+  jobStore.delete(itemId);
+}
+
+// The lock expires only when no file attempt ended for ITEM_LOCK_TIMEOUT, so long healthy jobs keep it
+function armLockTimer(itemId) {
+  const meta = processingItems[itemId];
+  if (!meta) return;
+  clearTimeout(meta.timeoutId);
+  meta.timeoutId = setTimeout(() => releaseStaleItem(itemId), ITEM_LOCK_TIMEOUT);
+}
+
+// Handles a lock that expired. A lock that never got a job is simply dropped. A job whose queue is stuck keeps
+// the item and gets a new queue run for its remaining files; the stuck run stops once its file returns.
+function releaseStaleItem(itemId) {
+  const meta = processingItems[itemId];
+  if (!meta?.jobId) {
+    logger.warn(`Auto-releasing lock for item ${itemId} after timeout.`);
+    cleanupItem(itemId);
+    return;
+  }
+
+  logger.warn(`No file of item ${itemId} finished in ${ITEM_LOCK_TIMEOUT / 60000} minutes, restarting its queue`);
+  processingItems[itemId] = { ...meta };
+  delete processingStatus[itemId];
+  armLockTimer(itemId);
+  const context = { correlationId: meta.correlationId, itemId, jobId: meta.jobId };
+  Logger.runWithContext(context, () => runQueue(itemId)).catch((err) =>
+    logger.error(`Failed to process queue for item ${itemId}`, err)
+  );
+}
+
+function persistQueue(itemId) {
+  if (!processingItems[itemId] || !fileQueues[itemId]) return;
+
+  // Tasks only carry the user id; tokens are fetched from TokenService when a file is processed.
+  // Signed asset URLs are left out as well, they are credentials and expire anyway.
+  const { timeoutId, ...job } = processingItems[itemId];
+  jobStore.set(itemId, {
+    ...job,
+    itemId,
+    tasks: fileQueues[itemId].map(({ fileInfo: { public_url: publicUrl, ...fileInfo }, ...task }) => ({
+      ...task,
+      fileInfo,
+    })),
+  });
+}
+
+function checkRateLimit(itemId) {
+  const now = Date.now();
+  if (!itemRateLimits[itemId]) {
+    itemRateLimits[itemId] = {
+      requests: [],
+      lastReset: now,
+    };
+  }
+
+  // Clean up old requests
+  itemRateLimits[itemId].requests = itemRateLimits[itemId].requests.filter((time) => now - time < RATE_LIMIT_WINDOW);
+
+  if (itemRateLimits[itemId].requests.length >= MAX_REQUESTS_PER_WINDOW) {
+    return false;
+  }
+
+  itemRateLimits[itemId].requests.push(now);
+  return true;
+}
+
+function getBackoffDelay(retryCount, errorType) {
+  if (errorType === 'complexity') {
+    // 8s, 12s, 15s for complexity budget errors
+    const baseDelay = 8000;
+    const maxDelay = 15000;
+    return Math.min(baseDelay + retryCount * 4000, maxDelay);
+  } else {
+    // Standard exponential backoff for other errors
+    return Math.min(Math.pow(2, retryCount) * 2000, 10000);
+  }
+}
+
+const AUTH_ERROR_CODES = ['NOT_AUTHENTICATED', 'OAUTH_REQUIRED', 'TOKEN_REFRESH_FAILED'];
+
+// A token that is missing, cannot be refreshed or was rejected by monday (401). Permission errors on a single
+// board come back with other statuses and codes and only fail that destination.
+function isAuthError(err) {
+  return err.status === 401 || AUTH_ERROR_CODES.includes(err.code);
+}
+
+// Lets the user know when their item's transfers are paused by an open breaker
+async function notifyCircuitOpen(key, reason) {
+  const itemId = key.replace(/^file:/, '');
+  const meta = processingItems[itemId];
+  const boardId = fileQueues[itemId]?.[0]?.destinations[0]?.boardId;
+  if (!meta || !boardId) return;
+
+  const accessToken = await TokenService.getToken(meta.userId);
+  if (!accessToken) return;
+
+  const text = `File transfers for item ${itemId} are paused after repeated failures and will retry automatically`;
+  logger.warn(`${text} (${reason})`);
+  await mondayService.sendNotification({ accessToken, userId: meta.userId, text, boardId });
+}
+
+circuitBreaker.on('stateChange', ({ key, from, to, reason }) => {
+  logger.info(`Circuit ${key} changed from ${from} to ${to}: ${reason}`);
+  metricsTracker.increment('circuit_breaker_transitions_total', { to });
+  if (to === 'OPEN') {
+    notifyCircuitOpen(key, reason).catch((err) => logger.error(`Failed to send circuit notification for ${key}`, err));
+  }
+});
+
+function getErrorClass(err) {
+  if (isAuthError(err)) return 'auth';
+  if (err.code === 'COMPLEXITY_BUDGET_EXHAUSTED' || err.message.includes('Complexity budget')) return 'rate_limit';
+  if (err.message.includes('Circuit breaker is OPEN')) return 'circuit_open';
+  if (err.code === 'ETIMEDOUT' || err.type === 'request-timeout') return 'timeout';
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND'].includes(err.code)) return 'network';
+  if (err.message.includes('Failed to get public URL')) return 'public_url';
+  if (err.message.includes('Invalid file type')) return 'file_type';
+  if (err.code === 'FILE_INFECTED') return 'infected';
+  if (err.message.includes('Upload failed')) return 'upload';
+  return 'other';
+}
+
+function recordTransfer(itemId, startTime, { size, error } = {}) {
+  const recipe = processingItems[itemId]?.type || 'unknown';
+  const outcome = error ? 'failure' : 'success';
+
+  metricsTracker.observe('file_transfer_duration_seconds', { recipe, outcome }, (Date.now() - startTime) / 1000);
+  if (error) {
+    metricsTracker.increment('file_transfer_errors_total', { recipe, error_class: getErrorClass(error) });
+  } else {
+    metricsTracker.increment('file_transfers_total', { recipe, outcome });
+    metricsTracker.observe('file_transfer_bytes', { recipe }, size);
+  }
+}
+
+// Quarantines a file the scanner flagged and tells the item's creator and the job's user why it was not copied
+async function handleInfectedFile({ itemId, task, download, scan, accessToken }) {
+  const meta = processingItems[itemId] || {};
+  const { fileInfo, userId } = task;
+  metricsTracker.increment('file_scan_detections_total', { scanner: scan.scanner });
+
+  await scanService.quarantine(download, {
+    itemId,
+    jobId: meta.jobId,
+    userId,
+    accountId: meta.accountId,
+    fileName: fileInfo.name,
+    assetId: fileInfo.assetId || fileInfo.id,
+    scanner: scan.scanner,
+    signature: scan.signature,
+  });
+
+  // The item's creator owns the file. For sync rules and bulk runs the job was started by someone else, who is
+  // told as well.
+  const recipients = new Set([String(userId)]);
+  try {
+    const item = await mondayService.getItemDetails(accessToken, itemId);
+    if (item.creatorId) recipients.add(String(item.creatorId));
+  } catch (err) {
+    logger.warn(`Could not look up the creator of item ${itemId}`, err);
+  }
+
+  const boardId = meta.boardId || task.destinations[0]?.boardId;
+  const text = `${fileInfo.name} on item ${itemId} was not copied: ${scan.scanner} found ${scan.signature}`;
+  for (const recipient of recipients) {
+    try {
+      await mondayService.sendNotification({ accessToken, userId: recipient, text, boardId });
+    } catch (err) {
+      logger.error(`Error sending scan notification to user ${recipient}`, err);
+    }
+  }
+}
+
+function getUploadedAssetId(responseData) {
+  return responseData?.data?.add_file_to_column?.id || responseData?.data?.add_file_to_update?.id || null;
+}
+
+function parseFiles(columnValue) {
+  try {
+    return JSON.parse(columnValue)?.files || [];
+  } catch (err) {
+    logger.error('Failed to parse file data', { columnValue });
+    return [];
+  }
+}
+
+function getUploads(task) {
+  return task.destinations.map((destination) => ({
+    itemId: destination.itemId,
+    columnId: destination.columnId,
+    assetId: task.destinationResults?.[destination.itemId]?.assetId || null,
+  }));
+}
+
+async function transferFile(itemId, task) {
+  const { source, destination: writer } = getStrategies(itemId);
+  const { fileInfo, userId, destinations, duplicateMatch } = task;
+  const startTime = Date.now();
+  // Kept on the task so retries and resumed jobs skip destinations that already have the file
+  task.destinationResults = task.destinationResults || {};
+  const { destinationResults } = task;
+
+  try {
+    return await circuitBreaker.execute(`file:${itemId}`, async () => {
+      return await retryStrategy.execute(
+        async () => {
+          let download = null;
+          try {
+            logger.info(`Processing file: ${fileInfo.name} for item ${itemId}`);
+
+            // Fetched per attempt so long-running jobs pick up refreshed tokens
+            const accessToken = await TokenService.getToken(userId);
+            if (!accessToken) {
+              throw Object.assign(new Error(`User ${userId} is not authenticated`), { code: 'NOT_AUTHENTICATED' });
+            }
+
+            const publicUrl = await source.getPublicUrl({ accessToken, fileInfo });
+            logger.debug(`Fetched public URL for ${fileInfo.name}`, { publicUrl });
+
+            // Validate URL before downloading
+            const { accountId, type } = processingItems[itemId] || {};
+            const validation = await FileValidator.validatePublicUrl(
+              publicUrl,
+              fileInfo.name,
+              policyService.getPolicy(accountId, type)
+            );
+            if (!validation.isValid) {
+              throw Object.assign(new Error(`Invalid file type: ${validation.reason}`), { code: 'FILE_TYPE_REJECTED' });
+            }
+
+            const pendingDestinations = destinations.filter(
+              (destination) => !['done', 'skipped'].includes(destinationResults[destination.itemId]?.status)
+            );
+            logger.info(
+              `Uploading ${fileInfo.name} to ${pendingDestinations.length} of ${destinations.length} destination items`
+            );
+
+            // A file going to several items is read once from disk instead of downloaded per item
+            download = await transferService.openDownload(publicUrl, {
+              tempDir: TEMP_DIR,
+              fileName: fileInfo.name,
+              spillToDisk: pendingDestinations.length > 1 || duplicateMatch === 'HASH' || scanService.isEnabled(),
+            });
+
+            const scan = await scanService.scanDownload(download, fileInfo.name);
+            if (!scan.clean) {
+              await handleInfectedFile({ itemId, task, download, scan, accessToken });
+              throw Object.assign(new Error(`Infected file: ${scan.signature}`), { code: 'FILE_INFECTED' });
+            }
+
+            for (const destination of pendingDestinations) {
+              try {
+                const prepared = writer.prepare
+                  ? await writer.prepare({ accessToken, task, destination, download, state: processingItems[itemId] })
+                  : { fileName: getTargetName(task) };
+                if (prepared.skip) {
+                  destinationResults[destination.itemId] = {
+                    status: 'done',
+                    assetId: prepared.duplicateOf,
+                    duplicate: prepared.duplicate,
+                  };
+                  continue;
+                }
+
+                const { responseData, errorMsg, status } = await writer.write({
+                  accessToken,
+                  destination,
+                  fileName: prepared.fileName,
+                  download,
+                  prepared,
+                });
+
+                if (errorMsg) {
+                  if (errorMsg === 'Value exceeded max value for column') {
+                    const text = 'Value exceeded max value for column';
+                    await mondayService.sendNotification({ accessToken, userId, text, boardId: destination.boardId });
+                    destinationResults[destination.itemId] = { status: 'skipped', error: errorMsg };
+                    continue;
+                  }
+                  throw Object.assign(new Error(errorMsg), { status });
+                }
+
+                destinationResults[destination.itemId] = {
+                  status: 'done',
+                  assetId: getUploadedAssetId(responseData),
+                  duplicate: prepared.duplicate,
+                };
+                duplicateService.rememberAssetHash(getUploadedAssetId(responseData), download.hash);
+                if (writer.finish) {
+                  // The file is in place, so a failure here is reported but does not upload it again
+                  try {
+                    await writer.finish({ accessToken, destination, prepared });
+                  } catch (finishError) {
+                    logger.error(`Failed to finish ${fileInfo.name} on item ${destination.itemId}`, finishError);
+                    destinationResults[destination.itemId].error = finishError.message;
+                  }
+                }
+                logger.info(`Successfully processed file: ${fileInfo.name} for item ${destination.itemId}`);
+              } catch (uploadError) {
+                // Budget errors hold up the whole file; the queue waits for the reset and retries it.
+                // A rejected token fails every destination alike, so it is not reported per item either.
+                if (uploadError.retryAfterMs || isAuthError(uploadError)) throw uploadError;
+                logger.error(`Upload failed for item ${destination.itemId}`, uploadError);
+                destinationResults[destination.itemId] = { status: 'failed', error: uploadError.message };
+              }
+            }
+
+            const failedDestinations = destinations.filter(
+              (destination) => destinationResults[destination.itemId]?.status === 'failed'
+            );
+            if (failedDestinations.length > 0) {
+              throw new Error(
+                `Upload failed for ${failedDestinations.length} of ${destinations.length} destination items: ` +
+                  failedDestinations
+                    .map((destination) => `${destination.itemId} (${destinationResults[destination.itemId].error})`)
+                    .join(', ')
+              );
+            }
+
+            metricsTracker.track('file_processing', 'success', {
+              success: true,
+              duration: Date.now() - startTime,
+              fileType: path.extname(fileInfo.name),
+              itemIds: destinations.map((destination) => destination.itemId),
+            });
+            recordTransfer(itemId, startTime, { size: download.size });
+
+            return destinationResults;
+          } catch (error) {
+            metricsTracker.track('file_processing', 'failure', {
+              failure: true,
+              duration: Date.now() - startTime,
+              error: error.message,
+            });
+            throw error;
+          } finally {
+            if (download) {
+              await download.cleanup();
+            }
+          }
+        },
+        {
+          isRetryable: (error) =>
+            !isAuthError(error) && !error.retryAfterMs && !['FILE_TYPE_REJECTED', 'FILE_INFECTED'].includes(error.code),
+        }
+      );
+    });
+  } catch (err) {
+    metricsTracker.track('file_processing', 'failure', {
+      failure: true,
+      duration: Date.now() - startTime,
+      error: err.message,
+    });
+    recordTransfer(itemId, startTime, { error: err });
+    throw err;
+  }
+}
+
+// Keeps the queue in the job store but frees the item until the user re-authorizes the app
+async function parkItem(itemId, err) {
+  const meta = processingItems[itemId];
+  const task = fileQueues[itemId][0];
+
+  task.retryCount = 0;
+  jobService.updateJobFile(meta.jobId, task.fileInfo, {
+    status: 'pending',
+    lastError: err.message,
+    destinations: task.destinationResults,
+  });
+  jobService.updateJob(meta.jobId, { status: 'waiting_for_auth' });
+  meta.status = 'waiting_for_auth';
+  persistQueue(itemId);
+  unloadItem(itemId);
+
+  logger.warn(`Parked job ${meta.jobId} for item ${itemId} until user ${meta.userId} re-authorizes`);
+  // A token monday rejected is dropped, so the reconnect link goes through OAuth instead of back to monday
+  if (err.status === 401) {
+    try {
+      await TokenService.clearToken(meta.userId);
+    } catch (clearError) {
+      logger.error(`Failed to clear the token of user ${meta.userId}`, clearError);
+    }
+  }
+  try {
+    await reauthService.notifyReauthRequired({
+      userId: meta.userId,
+      accountId: meta.accountId,
+      backToUrl: meta.backToUrl,
+      boardId: meta.moveSource?.boardId || task.destinations[0]?.boardId,
+    });
+  } catch (notifyError) {
+    logger.error(`Failed to ask user ${meta.userId} to re-authorize`, notifyError);
+  }
+}
+
+async function runQueue(itemId) {
+  if (!fileQueues[itemId] || !Array.isArray(fileQueues[itemId]) || fileQueues[itemId].length === 0) {
+    cleanupItem(itemId);
+    return;
+  }
+
+  if (processingStatus[itemId]) return;
+  processingStatus[itemId] = true;
+
+  logger.info(`Processing queue for item ${itemId} with ${fileQueues[itemId].length} files remaining`);
+
+  const { source } = getStrategies(itemId);
+  const maxRetries = 10;
+  const processedFiles = new Set();
+  let concurrentFiles = 0;
+  // A run whose item was released or restarted after a stale lock no longer owns its queue and stops
+  const run = processingItems[itemId];
+  const isCurrent = () => processingItems[itemId] === run;
+
+  while (isCurrent() && fileQueues[itemId] && fileQueues[itemId].length > 0) {
+    if (concurrentFiles >= MAX_CONCURRENT_FILES) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      continue;
+    }
+
+    if (!checkRateLimit(itemId)) {
+      logger.info(`Rate limit reached for item ${itemId}, waiting...`);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+      continue;
+    }
+
+    const task = fileQueues[itemId][0];
+    const fileKey = source.getFileKey(task.fileInfo);
+
+    if (processedFiles.has(fileKey)) {
+      fileQueues[itemId].shift();
+      continue;
+    }
+
+    concurrentFiles++;
+
+    try {
+      // Delay between files to respect rate limits
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+      // The lock may have timed out meanwhile
+      if (!isCurrent()) continue;
+      jobService.updateJobFile(processingItems[itemId]?.jobId, task.fileInfo, { status: 'in_progress' });
+      await Logger.runWithContext({ fileKey }, () => transferFile(itemId, task));
+
+      if (isCurrent()) {
+        fileQueues[itemId].shift();
+        processedFiles.add(fileKey);
+        if (processingItems[itemId]) {
+          processingItems[itemId].processedCount = (processingItems[itemId].processedCount || 0) + 1;
+        }
+        jobService.updateJobFile(processingItems[itemId]?.jobId, task.fileInfo, {
+          status: 'done',
+          destinations: task.destinationResults,
+          uploads: getUploads(task),
+        });
+      }
+    } catch (err) {
+      logger.error(`Failed to process file ${task.fileInfo.name}`, err);
+
+      if (!isCurrent()) {
+        concurrentFiles--;
+        continue;
+      }
+
+      task.retryCount = (task.retryCount || 0) + 1;
+      const isComplexityError =
+        err.code === 'COMPLEXITY_BUDGET_EXHAUSTED' || err.message.includes('Complexity budget exhausted');
+      const isAuthFailure = isAuthError(err);
+      // A rejected token is refreshed once; if that does not help the job waits for the user to reconnect
+      let canRefreshToken = false;
+      if (isAuthFailure && task.retryCount === 1) {
+        try {
+          canRefreshToken = await TokenService.expireToken(task.userId);
+        } catch (expireError) {
+          logger.error(`Could not read the stored token of user ${task.userId}`, expireError);
+        }
+      }
+      if (isAuthFailure && !canRefreshToken) {
+        await parkItem(itemId, err);
+        return;
+      }
+
+      if (
+        task.retryCount < maxRetries &&
+        (canRefreshToken ||
+          err.code === 'ETIMEDOUT' ||
+          err.code === 'ECONNRESET' ||
+          err.message.includes('Failed to get public URL') ||
+          isComplexityError)
+      ) {
+        logger.info(`Retrying file ${task.fileInfo.name} (attempt ${task.retryCount + 1}/${maxRetries})`);
+        jobService.updateJobFile(processingItems[itemId]?.jobId, task.fileInfo, {
+          status: 'pending',
+          retryCount: task.retryCount,
+          lastError: err.message,
+          destinations: task.destinationResults,
+        });
+        // The rate governor knows when monday resets the budget; the formula is only a fallback
+        const backoffDelay =
+          err.retryAfterMs || getBackoffDelay(task.retryCount, isComplexityError ? 'complexity' : 'standard');
+        logger.info(`Waiting ${backoffDelay / 1000} seconds before retry...`);
+        await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+      } else {
+        logger.error(`Max retries reached or permanent error for file ${task.fileInfo.name}: ${err.message}`);
+        metricsTracker.increment('file_transfers_total', {
+          recipe: processingItems[itemId]?.type || 'unknown',
+          outcome: 'failure',
+        });
+        jobService.updateJobFile(processingItems[itemId]?.jobId, task.fileInfo, {
+          status: 'failed',
+          retryCount: task.retryCount,
+          lastError: err.message,
+          destinations: task.destinationResults,
+        });
+        if (fileQueues[itemId] && fileQueues[itemId].length > 0) {
+          fileQueues[itemId].shift();
+          processedFiles.add(fileKey);
+        }
+      }
+    } finally {
+      concurrentFiles--;
+      if (isCurrent()) {
+        armLockTimer(itemId);
+        persistQueue(itemId);
+      }
+    }
+  }
+
+  // Released or restarted while a file was in flight; whoever owns the item now finishes the job
+  if (!isCurrent()) return;
+
+  try {
+    const completedFilesCount = processingItems[itemId]?.processedCount || 0;
+    const endTime = Date.now();
+    const processingTimeInSeconds = ((endTime - (processingItems[itemId]?.startTime || endTime)) / 1000).toFixed(2);
+
+    logger.info(`Processing summary for item ${itemId}`, {
+      filesProcessed: completedFilesCount,
+      processingTimeSeconds: Number(processingTimeInSeconds),
+    });
+    jobService.finishJob(processingItems[itemId]?.jobId, completedFilesCount);
+    await sendRunSummary(itemId);
+    cleanupItem(itemId);
+  } catch (err) {
+    logger.error(`Error during cleanup for item ${itemId}`, err);
+    cleanupItem(itemId);
+  }
+}
+
+// Posts the outcome of every file where the user asked for it; a failed summary never fails the job
+async function sendRunSummary(itemId) {
+  const meta = processingItems[itemId];
+  if (!meta?.summaryMode || meta.summaryMode === 'OFF') return;
+
+  try {
+    const accessToken = await TokenService.getToken(meta.userId);
+    if (!accessToken) return;
+
+    await summaryService.sendSummary({
+      job: jobService.getJob(meta.jobId),
+      mode: meta.summaryMode,
+      accessToken,
+      itemId: meta.sourceItemId,
+      boardId: meta.boardId,
+    });
+  } catch (err) {
+    logger.error(`Failed to send run summary for item ${itemId}`, err);
+  }
+}
+
+// Queue depth per recipe for the /metrics gauges
+function getQueueStats() {
+  const stats = {};
+  const getStats = (type) => {
+    stats[type] = stats[type] || { queuedFiles: 0, activeItems: 0, parkedJobs: 0 };
+    return stats[type];
+  };
+
+  for (const [itemId, meta] of Object.entries(processingItems)) {
+    const entry = getStats(meta.type);
+    entry.activeItems++;
+    entry.queuedFiles += fileQueues[itemId]?.length || 0;
+  }
+  for (const job of jobStore.values()) {
+    if (job.status === 'waiting_for_auth') {
+      const entry = getStats(job.type);
+      entry.parkedJobs++;
+      entry.queuedFiles += job.tasks?.length || 0;
+    }
+  }
+  return stats;
+}
+
+// Parked jobs still hold their item so a new trigger cannot overwrite the queue waiting for re-authorization
+function isProcessing(itemId) {
+  return Boolean(processingItems[itemId] || jobStore.get(itemId));
+}
+
+function getActiveJobId(itemId) {
+  return processingItems[itemId]?.jobId || jobStore.get(itemId)?.jobId;
+}
+
+// Claims an item before its files are looked up so duplicate triggers are rejected early
+function lockItem(
+  itemId,
+  { type, source, destination, userId, accountId, boardId, backToUrl, moveSource, summaryMode }
+) {
+  if (!sourceResolvers[source] || !destinationWriters[destination]) {
+    throw new Error(`Unknown transfer strategy: ${source} -> ${destination}`);
+  }
+
+  processingItems[itemId] = {
+    startTime: Date.now(),
+    processedCount: 0,
+    type,
+    source,
+    destination,
+    userId,
+    accountId,
+    boardId,
+    backToUrl,
+    moveSource,
+    summaryMode,
+    sourceItemId: itemId,
+    // Kept with the job so a resumed job logs under the request that started it
+    correlationId: Logger.getContext().correlationId || Logger.newCorrelationId(),
+  };
+  armLockTimer(itemId);
+}
+
+// `skipped` lists the files the recipe filters left out, so the run summary can mention them
+function startJob(itemId, tasks, { skipped = [] } = {}) {
+  const { type, userId, accountId, correlationId } = processingItems[itemId];
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+  fileQueues[itemId] = tasks;
+  const job = jobService.createJob({
+    itemId,
+    type,
+    userId,
+    accountId,
+    correlationId,
+    files: tasks.map((task) => ({ ...task.fileInfo, targetName: task.fileName })),
+    skippedFiles: skipped,
+  });
+  processingItems[itemId].jobId = job.id;
+  persistQueue(itemId);
+
+  // Start processing the queue for this item
+  Logger.runWithContext({ correlationId, itemId, jobId: job.id }, () => runQueue(itemId)).catch((err) =>
+    logger.error(`Failed to process queue for item ${itemId}`, err)
+  );
+  return job;
+}
+
+async function waitForItem(itemId) {
+  while (processingItems[itemId]) {
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+}
+
+// waitForItem only covers running jobs; a job parked for re-authorization holds the item as well.
+// `shouldStop` lets a caller give up waiting, for instance when its own run was cancelled.
+async function waitForFreeItem(itemId, { shouldStop = () => false } = {}) {
+  while (isProcessing(itemId) && !shouldStop()) {
+    await waitForItem(itemId);
+    if (isProcessing(itemId)) {
+      await new Promise((resolve) => setTimeout(resolve, BUSY_ITEM_DELAY));
+    }
+  }
+}
+
+async function completeMove(jobId, { boardId, itemId, columnId }) {
+  const job = jobService.getJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found, refusing to clear source column`);
+  }
+
+  const accessToken = await TokenService.getToken(job.userId);
+  if (!accessToken) {
+    throw new Error(`User ${job.userId} is not authenticated, refusing to clear source column`);
+  }
+
+  // Read every destination column once and collect the asset IDs it now holds
+  const destinationAssets = {};
+  for (const upload of job.files.flatMap((file) => file.uploads || [])) {
+    const key = `${upload.itemId}:${upload.columnId}`;
+    if (!destinationAssets[key]) {
+      const destinationValue = await mondayService.getColumnValue(accessToken, upload.itemId, upload.columnId);
+      destinationAssets[key] = new Set(parseFiles(destinationValue).map((file) => String(file.assetId)));
+    }
+  }
+
+  const verifiedFiles = new Map();
+  for (const file of job.files) {
+    const uploads = file.uploads || [];
+    const isVerified =
+      uploads.length > 0 &&
+      uploads.every(
+        (upload) =>
+          upload.assetId && destinationAssets[`${upload.itemId}:${upload.columnId}`].has(String(upload.assetId))
+      );
+    verifiedFiles.set(file.key, isVerified);
+  }
+
+  const sourceFiles = parseFiles(await mondayService.getColumnValue(accessToken, itemId, columnId));
+  let keptFiles = sourceFiles.filter((file) => !verifiedFiles.get(String(file.assetId)));
+  let movedFiles = sourceFiles.filter((file) => verifiedFiles.get(String(file.assetId)));
+  let clearError = null;
+
+  if (movedFiles.length > 0) {
+    const value = keptFiles.length > 0 ? { files: keptFiles } : {};
+    try {
+      await mondayService.changeColumnValue(accessToken, boardId, itemId, columnId, JSON.stringify(value));
+      logger.info(`Removed ${movedFiles.length} moved files from column ${columnId} on item ${itemId}`);
+    } catch (err) {
+      // The copies are in place but the source still holds every file, so none of them counts as moved
+      logger.error(`Failed to clear moved files from column ${columnId} on item ${itemId}`, err);
+      clearError = `Source column could not be cleared: ${err.message}`;
+      keptFiles = sourceFiles;
+      movedFiles = [];
+    }
+  }
+
+  const moveResult = {
+    moved: movedFiles.map((file) => file.name),
+    kept: keptFiles.map((file) => {
+      const jobFile = job.files.find((entry) => entry.key === String(file.assetId));
+      return {
+        name: file.name,
+        reason: !jobFile
+          ? 'Not part of this job'
+          : (verifiedFiles.get(jobFile.key) && clearError) ||
+            jobFile.lastError ||
+            'Upload could not be verified in the destination column',
+      };
+    }),
+  };
+  if (moveResult.kept.length > 0) {
+    logger.warn(`Partial move for item ${itemId}: kept ${moveResult.kept.length} files in the source column`);
+  }
+
+  jobService.updateJob(jobId, { move: moveResult });
+  return moveResult;
+}
+
+async function resumeJob(job) {
+  const { itemId, tasks, ...meta } = job;
+
+  if (!sourceResolvers[meta.source] || !destinationWriters[meta.destination] || !Array.isArray(tasks)) {
+    logger.error(`Dropping unrecognised job for item ${itemId}`);
+    jobStore.delete(itemId);
+    return;
+  }
+
+  if (processingItems[itemId]) return;
+
+  const accessToken = await TokenService.getToken(meta.userId);
+  if (!accessToken) {
+    logger.warn(`No token for user ${meta.userId}, leaving job for item ${itemId} pending`);
+    return;
+  }
+
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  if (meta.status === 'waiting_for_auth') {
+    jobService.updateJob(meta.jobId, { status: 'running' });
+  }
+
+  processingItems[itemId] = { ...meta, status: 'running' };
+  armLockTimer(itemId);
+  fileQueues[itemId] = tasks;
+
+  const context = { correlationId: meta.correlationId || Logger.newCorrelationId(), itemId, jobId: meta.jobId };
+  await Logger.runWithContext(context, () => {
+    logger.info(`Resuming ${tasks.length} queued files for item ${itemId}`);
+    return runQueue(itemId);
+  });
+
+  // Parked again, the move is completed once the job resumes
+  if (meta.moveSource && !jobStore.get(itemId)) {
+    try {
+      await completeMove(meta.jobId, meta.moveSource);
+    } catch (err) {
+      logger.error('Error completing move', err);
+    }
+  }
+}
+
+async function resumePendingJobs() {
+  const pendingJobs = jobStore.values();
+  if (pendingJobs.length === 0) return;
+
+  logger.info(`Resuming ${pendingJobs.length} pending jobs from the job store`);
+  for (const job of pendingJobs) {
+    resumeJob(job).catch((err) => logger.error(`Failed to resume job for item ${job.itemId}`, err));
+  }
+}
+
+function resumeParkedJobs(userId) {
+  for (const job of jobStore.values()) {
+    if (String(job.userId) === String(userId) && job.status === 'waiting_for_auth') {
+      resumeJob(job).catch((err) => logger.error(`Failed to resume job for item ${job.itemId}`, err));
+    }
+  }
+}
+
+module.exports = {
+  metricsTracker,
+  circuitBreaker,
+  getQueueStats,
+  sourceResolvers,
+  destinationWriters,
+  isProcessing,
+  getActiveJobId,
+  lockItem,
+  releaseItem: cleanupItem,
+  startJob,
+  waitForItem,
+  waitForFreeItem,
+  completeMove,
+  parseFiles,
+  resumePendingJobs,
+  resumeParkedJobs,
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { rateGovernor, parseErrors } = require('./monday-service');
+const Logger = require('../utils/Logger');
+
+const logger = new Logger({ component: 'transfer-service' });
+
+const MONDAY_FILE_API = 'https://api.monday.com/v2/file';
+
+const createHashingStream = () => {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      stream.size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  stream.size = 0;
+  stream.digest = () => hash.digest('hex');
+  return stream;
+};
+
+const hashStream = async (readable) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of readable) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+// Opens a download from an asset URL. When the size is known and the file is only needed once, the
+// response body is handed straight to the upload; otherwise it is spilled to a temp file first.
+const openDownload = async (publicUrl, { tempDir, fileName, spillToDisk = false }) => {
+  const response = await fetch(publicUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download file: ${response.statusText}`);
+  }
+
+  const contentLength = Number(response.headers.get('content-length'));
+  if (!spillToDisk && contentLength > 0) {
+    let consumed = false;
+    return {
+      size: contentLength,
+      hash: null,
+      createStream: () => {
+        if (consumed) throw new Error(`Download stream for ${fileName} was already consumed`);
+        consumed = true;
+        return response.body;
+      },
+      cleanup: async () => {
+        if (!consumed) response.body.destroy();
+      },
+    };
+  }
+
+  const tempFilePath = path.join(tempDir, `${crypto.randomUUID()}-${path.basename(fileName)}`);
+  const hashingStream = createHashingStream();
+  try {
+    await pipeline(response.body, hashingStream, fs.createWriteStream(tempFilePath));
+  } catch (err) {
+    await fs.promises.unlink(tempFilePath).catch(() => {});
+    throw err;
+  }
+
+  return {
+    size: hashingStream.size,
+    hash: hashingStream.digest(),
+    createStream: () => fs.createReadStream(tempFilePath),
+    cleanup: async () => {
+      try {
+        await fs.promises.unlink(tempFilePath);
+      } catch (err) {
+        logger.error(`Failed to clean up temp file ${tempFilePath}`, err);
+      }
+    },
+  };
+};
+
+// The file endpoint takes multipart form data, so the other variables are sent as `variables[name]` fields
+const uploadFile = async ({ accessToken, query, variables, fileName, download }) => {
+  const form = new FormData();
+  form.append('query', query);
+  for (const [name, value] of Object.entries(variables)) {
+    form.append(`variables[${name}]`, String(value));
+  }
+  // With the size known, node-fetch sends a Content-Length for the form instead of chunking it
+  form.append('variables[file]', download.createStream(), { filename: fileName, knownLength: download.size });
+
+  let uploadResponse;
+  // No retries here: the file stream can only be read once, so a throttled upload fails and the queue retries it
+  const responseData = await rateGovernor.execute(
+    accessToken,
+    async () => {
+      uploadResponse = await fetch(MONDAY_FILE_API, {
+        method: 'POST',
+        headers: {
+          Authorization: accessToken,
+          ...form.getHeaders(),
+        },
+        body: form,
+        timeout: 60000,
+      });
+      return { body: await uploadResponse.json(), headers: uploadResponse.headers };
+    },
+    { maxRetries: 0 }
+  );
+  const errors = parseErrors(responseData, uploadResponse.status);
+  if (!uploadResponse.ok || errors.length > 0) {
+    const errorMsg = errors.length > 0 ? errors[0].message : uploadResponse.statusText;
+    return { responseData, errorMsg, status: uploadResponse.status };
+  }
+
+  return { responseData, errorMsg: null };
+};
+
+const uploadToColumn = ({ accessToken, itemId, columnId, fileName, download }) => {
+  const query = `mutation($file: File!, $itemId: ID!, $columnId: String!) {
+    add_file_to_column (
+      item_id: $itemId,
+      column_id: $columnId,
+      file: $file
+    ) {
+      id
+    }
+  }`;
+
+  return uploadFile({ accessToken, query, variables: { itemId, columnId }, fileName, download });
+};
+
+const uploadToUpdate = ({ accessToken, updateId, fileName, download }) => {
+  const query = `mutation($file: File!, $updateId: ID!) {
+    add_file_to_update (
+      update_id: $updateId,
+      file: $file
+    ) {
+      id
+    }
+  }`;
+
+  return uploadFile({ accessToken, query, variables: { updateId }, fileName, download });
+};
+
+module.exports = {
+  hashStream,
+  openDownload,
+  uploadToColumn,
+  uploadToUpdate,
+};
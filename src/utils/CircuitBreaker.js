@@ -1,6 +1,12 @@
+const EventEmitter = require('events');
+const Logger = require('./Logger');
 
-class CircuitBreaker {
+const logger = new Logger({ component: 'circuit-breaker' });
+
+// Emits 'stateChange' with { key, from, to, reason } whenever a breaker changes state
+class CircuitBreaker extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.failureThreshold = options.failureThreshold || 8; // Increased threshold
     this.resetTimeout = options.resetTimeout || 120000; // 2 minute cooldown
     this.cooldownPeriod = options.cooldownPeriod || 180000; // 3 minute cooldown period
@@ -16,22 +22,29 @@ class CircuitBreaker {
         lastFailure: null,
         lastSuccess: null,
         status: 'CLOSED',
-        cooldownStart: null
+        cooldownStart: null,
+        openUntil: null
       });
     }
     return this.monitors.get(key);
   }
 
+  setStatus(key, monitor, status, reason) {
+    const from = monitor.status;
+    monitor.status = status;
+    this.emit('stateChange', { key, from, to: status, reason });
+  }
+
   async execute(key, operation) {
     const monitor = this.getMonitor(key);
     
     if (monitor.status === 'OPEN') {
-      if (Date.now() - monitor.lastFailure >= this.resetTimeout) {
-        console.log(`Circuit ${key} entering half-open state`);
-        monitor.status = 'HALF_OPEN';
+      if (Date.now() >= monitor.openUntil) {
+        logger.info(`Circuit ${key} entering half-open state`);
+        this.setStatus(key, monitor, 'HALF_OPEN', 'Reset timeout elapsed');
         monitor.successes = 0;
       } else {
-        throw new Error(`Circuit breaker is OPEN for ${key} (${Math.round((this.resetTimeout - (Date.now() - monitor.lastFailure))/1000)}s remaining)`);
+        throw new Error(`Circuit breaker is OPEN for ${key} (${Math.round((monitor.openUntil - Date.now())/1000)}s remaining)`);
       }
     }
 
@@ -42,10 +55,11 @@ class CircuitBreaker {
       
       if (monitor.status === 'HALF_OPEN') {
         if (monitor.successes >= this.successThreshold) {
-          console.log(`Circuit ${key} closing after ${monitor.successes} successes`);
-          monitor.status = 'CLOSED';
+          logger.info(`Circuit ${key} closing after ${monitor.successes} successes`);
+          this.setStatus(key, monitor, 'CLOSED', `${monitor.successes} successful calls`);
           monitor.failures = 0;
           monitor.cooldownStart = null;
+          monitor.openUntil = null;
         }
       } else {
         monitor.failures = Math.max(0, monitor.failures - 1); // Gradual failure reduction
@@ -59,18 +73,40 @@ class CircuitBreaker {
       
       if (monitor.failures >= this.failureThreshold) {
         if (!monitor.cooldownStart || (Date.now() - monitor.cooldownStart >= this.cooldownPeriod)) {
-          console.log(`Circuit ${key} opening after ${monitor.failures} failures`);
-          monitor.status = 'OPEN';
+          logger.info(`Circuit ${key} opening after ${monitor.failures} failures`);
           monitor.cooldownStart = Date.now();
+          monitor.openUntil = monitor.lastFailure + this.resetTimeout;
+          this.setStatus(key, monitor, 'OPEN', `${monitor.failures} failures: ${error.message}`);
         }
       }
       throw error;
     }
   }
 
+  getStates() {
+    const now = Date.now();
+    return [...this.monitors.entries()].map(([key, monitor]) => ({
+      key,
+      ...monitor,
+      remainingMs: monitor.status === 'OPEN' ? Math.max(0, monitor.openUntil - now) : 0
+    }));
+  }
+
+  forceOpen(key, duration = this.resetTimeout) {
+    const monitor = this.getMonitor(key);
+    logger.info(`Forcing circuit ${key} open for ${Math.round(duration / 1000)}s`);
+    monitor.lastFailure = Date.now();
+    monitor.openUntil = monitor.lastFailure + duration;
+    this.setStatus(key, monitor, 'OPEN', 'Forced open by an admin');
+  }
+
   reset(key) {
-    console.log(`Resetting circuit ${key}`);
+    logger.info(`Resetting circuit ${key}`);
+    const monitor = this.monitors.get(key);
     this.monitors.delete(key);
+    if (monitor) {
+      this.emit('stateChange', { key, from: monitor.status, to: 'CLOSED', reason: 'Reset' });
+    }
   }
 }
 
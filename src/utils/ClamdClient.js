@@ -0,0 +1,90 @@
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Talks to clamd over its socket protocol and streams files with INSTREAM, so nothing has to be shared on disk
+class ClamdClient {
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || null;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 3310;
+    this.timeout = options.timeout || 60000;
+  }
+
+  connect() {
+    return this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+  }
+
+  // Each chunk is sent as a 4-byte big-endian length followed by the data; a zero length ends the stream
+  static frame(chunk) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(chunk.length);
+    return Buffer.concat([length, chunk]);
+  }
+
+  // Replies look like `stream: OK`, `stream: Eicar-Signature FOUND` or `... ERROR`
+  static parseReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+    if (/: OK$/.test(text)) return { clean: true };
+
+    const found = text.match(/: (.+) FOUND$/);
+    if (found) return { clean: false, signature: found[1] };
+
+    throw new Error(`clamd scan failed: ${text || 'empty reply'}`);
+  }
+
+  scanStream(readable) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const chunks = [];
+      let settled = false;
+
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        readable.destroy();
+        socket.destroy();
+        reject(err);
+      };
+
+      socket.setTimeout(this.timeout, () => fail(new Error('clamd did not answer in time')));
+      socket.on('error', fail);
+      socket.on('data', (chunk) => chunks.push(chunk));
+      socket.on('close', () => {
+        readable.destroy();
+        if (settled) return;
+        settled = true;
+        try {
+          resolve(ClamdClient.parseReply(Buffer.concat(chunks).toString('utf8')));
+        } catch (err) {
+          reject(err);
+        }
+      });
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const data of readable) {
+            for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+              // clamd may answer early (size limit, or a match) and close its side
+              if (socket.destroyed) return;
+              if (!socket.write(ClamdClient.frame(data.subarray(offset, offset + CHUNK_SIZE)))) {
+                await new Promise((resume) => {
+                  socket.once('drain', resume);
+                  socket.once('close', resume);
+                });
+              }
+            }
+          }
+          socket.end(Buffer.alloc(4));
+        } catch (err) {
+          fail(err);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamdClient;
@@ -0,0 +1,92 @@
+const path = require('path');
+const mime = require('mime-types');
+
+const BYTES_PER_MB = 1024 * 1024;
+
+class FileFilter {
+  constructor(options = {}) {
+    this.includePatterns = (options.includePatterns || []).map(FileFilter.globToRegExp);
+    this.excludePatterns = (options.excludePatterns || []).map(FileFilter.globToRegExp);
+    this.allowedExtensions = (options.allowedExtensions || []).map((ext) => `.${ext.replace(/^\./, '').toLowerCase()}`);
+    this.allowedMimeTypes = (options.allowedMimeTypes || []).map((type) => type.toLowerCase());
+    this.minSize = options.minSize || null;
+    this.maxSize = options.maxSize || null;
+  }
+
+  static fromInputFields(inputFields = {}) {
+    const toMb = (value) => (Number(value) > 0 ? Number(value) * BYTES_PER_MB : null);
+    return new FileFilter({
+      includePatterns: FileFilter.parseList(inputFields.includePatterns),
+      excludePatterns: FileFilter.parseList(inputFields.excludePatterns),
+      allowedExtensions: FileFilter.parseList(inputFields.allowedExtensions),
+      allowedMimeTypes: FileFilter.parseList(inputFields.allowedMimeTypes),
+      minSize: toMb(inputFields.minFileSizeMb),
+      maxSize: toMb(inputFields.maxFileSizeMb),
+    });
+  }
+
+  // Recipe fields arrive as comma separated text or as dropdown options ({ title, value })
+  static parseList(value) {
+    if (!value) return [];
+    const entries = Array.isArray(value) ? value.map((entry) => entry?.value ?? entry) : String(value).split(/[,\n]/);
+    return entries.map((entry) => String(entry).trim()).filter(Boolean);
+  }
+
+  static globToRegExp(pattern) {
+    const source = pattern
+      .split('')
+      .map((char) => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  isEmpty() {
+    return (
+      this.includePatterns.length === 0 &&
+      this.excludePatterns.length === 0 &&
+      this.allowedExtensions.length === 0 &&
+      this.allowedMimeTypes.length === 0 &&
+      !this.requiresSize()
+    );
+  }
+
+  requiresSize() {
+    return Boolean(this.minSize || this.maxSize);
+  }
+
+  // Returns the reason a file is rejected, or null when it passes every filter
+  check(fileInfo, size) {
+    const name = fileInfo.name || '';
+
+    if (this.includePatterns.length > 0 && !this.includePatterns.some((pattern) => pattern.test(name))) {
+      return 'Name does not match include patterns';
+    }
+    if (this.excludePatterns.some((pattern) => pattern.test(name))) {
+      return 'Name matches exclude patterns';
+    }
+    if (this.allowedExtensions.length > 0 && !this.allowedExtensions.includes(path.extname(name).toLowerCase())) {
+      return `Extension ${path.extname(name) || '(none)'} is not allowed`;
+    }
+    if (this.allowedMimeTypes.length > 0) {
+      const mimeType = mime.lookup(name) || 'application/octet-stream';
+      const family = `${mimeType.split('/')[0]}/*`;
+      const isAllowed = this.allowedMimeTypes.some(
+        (type) => type === mimeType || type === family || `${type}/*` === family
+      );
+      if (!isAllowed) return `File type ${mimeType} is not allowed`;
+    }
+    if (this.requiresSize()) {
+      if (!Number.isFinite(size)) return 'File size is unknown';
+      if (this.minSize && size < this.minSize) return 'File is smaller than the minimum size';
+      if (this.maxSize && size > this.maxSize) return 'File is larger than the maximum size';
+    }
+
+    return null;
+  }
+}
+
+module.exports = FileFilter;
@@ -0,0 +1,80 @@
+const path = require('path');
+
+const MAX_LENGTH = 255;
+// Characters monday (and most file systems) reject in file names, plus control characters
+const UNSAFE_CHARACTERS = /[/\\:*?"<>|\u0000-\u001f\u007f]/g;
+const PLACEHOLDER = /\{([\w.]+)(?::([^}]+))?\}/g;
+
+// Renders names such as `{item.name}-{date:YYYYMMDD}-{n}{ext}` for copied files. Placeholders:
+// {item.name}, {item.id}, {column:<columnId>}, {date} or {date:<format>}, {n} or {n:<digits>}, {name}, {ext}
+class FileNameTemplate {
+  constructor(template) {
+    this.template = String(template || '').trim();
+  }
+
+  isEmpty() {
+    return this.template.length === 0;
+  }
+
+  // Columns whose values the template uses, so they can be fetched with the source item
+  getColumnIds() {
+    return [...this.template.matchAll(PLACEHOLDER)]
+      .filter(([, key]) => key === 'column')
+      .map(([, , columnId]) => columnId);
+  }
+
+  static formatDate(date, format = 'YYYY-MM-DD') {
+    const pad = (value) => String(value).padStart(2, '0');
+    const parts = {
+      YYYY: date.getFullYear(),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds()),
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => parts[token]);
+  }
+
+  static sanitize(fileName) {
+    const cleaned = fileName
+      .replace(UNSAFE_CHARACTERS, '_')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.]+|[\s.]+$/g, '');
+    if (cleaned.length <= MAX_LENGTH) return cleaned;
+
+    // Shorten the name, not the extension
+    const extension = path.extname(cleaned).slice(0, 20);
+    return cleaned.slice(0, MAX_LENGTH - extension.length) + extension;
+  }
+
+  // `item` is { id, name, columns: { [columnId]: text } }; `index` is the 1-based position of the file in the job
+  render(fileName, { item = {}, index = 1, date = new Date() } = {}) {
+    if (this.isEmpty()) return fileName;
+
+    const extension = path.extname(fileName);
+    const values = {
+      'item.name': () => item.name || '',
+      'item.id': () => item.id || '',
+      column: (columnId) => item.columns?.[columnId] || '',
+      date: (format) => FileNameTemplate.formatDate(date, format),
+      n: (digits) => String(index).padStart(Number(digits) || 1, '0'),
+      name: () => path.basename(fileName, extension),
+      ext: () => extension,
+    };
+
+    const rendered = this.template.replace(PLACEHOLDER, (match, key, argument) =>
+      values[key] ? values[key](argument) : match
+    );
+    // Without its extension the copy would not open, so it is added back when the template leaves it out
+    const withExtension =
+      extension && !rendered.toLowerCase().endsWith(extension.toLowerCase()) ? rendered + extension : rendered;
+    const safeName = FileNameTemplate.sanitize(withExtension);
+    // A template that renders to nothing but the extension falls back to the original name
+    return safeName.length > extension.length && safeName.toLowerCase().endsWith(extension.toLowerCase())
+      ? safeName
+      : fileName;
+  }
+}
+
+module.exports = FileNameTemplate;
@@ -0,0 +1,75 @@
+// Types accepted when an account has no policy of its own
+const DEFAULT_ALLOW = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/svg+xml',
+  'image/webp',
+  'image/bmp',
+  'image/tiff',
+  'image/heic',
+  'video/mp4',
+  'video/x-msvideo',
+  'video/quicktime',
+  'video/x-ms-wmv',
+  'video/x-matroska',
+  'video/webm',
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/wav',
+  'audio/aac',
+  'audio/ogg',
+  'audio/flac',
+  'application/rtf',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/rtf',
+  'text/csv',
+];
+
+const PATTERN = /^(\*|[\w.+-]+\/(\*|[\w.+-]+))$/;
+
+// Allow/deny lists of MIME type patterns such as `image/*`. Deny wins; an empty allow list allows everything.
+class FilePolicy {
+  constructor(options = {}) {
+    this.allow = (options.allow || []).map((pattern) => pattern.toLowerCase());
+    this.deny = (options.deny || []).map((pattern) => pattern.toLowerCase());
+  }
+
+  static isValidPattern(pattern) {
+    return typeof pattern === 'string' && PATTERN.test(pattern.trim());
+  }
+
+  static matches(pattern, contentType) {
+    if (pattern === '*' || pattern === '*/*') return true;
+    if (pattern.endsWith('/*')) return contentType.startsWith(pattern.slice(0, -1));
+    return pattern === contentType;
+  }
+
+  // Returns the reason a content type is rejected, or null when the policy accepts it
+  check(contentType) {
+    const type = String(contentType || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+
+    if (this.deny.some((pattern) => FilePolicy.matches(pattern, type))) {
+      return `File type ${type || 'unknown'} is denied`;
+    }
+    if (this.allow.length > 0 && !this.allow.some((pattern) => FilePolicy.matches(pattern, type))) {
+      return `File type ${type || 'unknown'} is not allowed`;
+    }
+    return null;
+  }
+}
+
+FilePolicy.DEFAULT_ALLOW = DEFAULT_ALLOW;
+FilePolicy.DEFAULT = new FilePolicy({ allow: DEFAULT_ALLOW });
+
+module.exports = FilePolicy;
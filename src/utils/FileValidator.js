@@ -1,8 +1,68 @@
 const fetch = require('node-fetch');
 const mime = require('mime-types');
+const FilePolicy = require('./FilePolicy');
+const Logger = require('./Logger');
+
+const logger = new Logger({ component: 'file-validator' });
+
+const SNIFF_BYTES = 512;
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/binary'];
+const TEXT_TYPES = ['text/', 'application/json', 'application/xml', 'image/svg+xml'];
+
+// Magic numbers of common formats; null matches any byte
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+const SIGNATURES = [
+  { type: 'application/pdf', bytes: ascii('%PDF') },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: ascii('GIF8') },
+  { type: 'image/webp', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('WEBP')] },
+  { type: 'audio/wav', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('WAVE')] },
+  { type: 'video/x-msvideo', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('AVI ')] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/bmp', bytes: ascii('BM') },
+  { type: 'video/mp4', offset: 4, bytes: ascii('ftyp') },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'video/x-ms-wmv', bytes: [0x30, 0x26, 0xb2, 0x75] },
+  { type: 'audio/mpeg', bytes: ascii('ID3') },
+  { type: 'audio/mpeg', bytes: [0xff, 0xfb] },
+  { type: 'audio/ogg', bytes: ascii('OggS') },
+  { type: 'audio/flac', bytes: ascii('fLaC') },
+  { type: 'application/rtf', bytes: ascii('{\\rtf') },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/x-cfb', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/vnd.rar', bytes: ascii('Rar!') },
+  { type: 'image/vnd.dwg', bytes: ascii('AC10') },
+  { type: 'application/x-msdownload', bytes: ascii('MZ') },
+  { type: 'application/x-executable', bytes: [0x7f, ...ascii('ELF')] },
+];
+
+// Formats stored inside a zip or OLE container, recognised by the file name once the container matches
+const CONTAINERS = {
+  'application/zip': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation',
+    'application/epub+zip',
+    'application/java-archive',
+  ],
+  'application/x-cfb': [
+    'application/msword',
+    'application/vnd.ms-excel',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.ms-outlook',
+  ],
+  'video/webm': ['video/x-matroska'],
+};
 
 class FileValidator {
-  static async validatePublicUrl(url, fileName) {
+  static async validatePublicUrl(url, fileName, policy = FilePolicy.DEFAULT) {
     const maxRetries = 10;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -13,35 +73,35 @@ class FileValidator {
         // Safer than HEAD — avoids S3 signed URL issues
         const res = await fetch(url, {
           method: 'GET',
-          headers: { Range: 'bytes=0-0' },
+          headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
         });
 
         if (res.ok) {
-          const contentType = res.headers.get('content-type') || mimeType;
-          return {
-            isValid: FileValidator.isValidFileType(contentType),
-            contentType,
-          };
+          let contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+          // A generic type says nothing about the file, and neither does its name
+          if (FileValidator.isGenericType(contentType)) {
+            contentType = FileValidator.sniffContentType(await FileValidator.readHead(res.body, SNIFF_BYTES), fileName);
+          }
+          const reason = policy.check(contentType);
+          return { isValid: !reason, contentType, reason };
         }
 
         if (res.status === 403) {
-          console.warn(`[${attempt}] 403 Forbidden for ${url}`);
+          logger.warn(`[${attempt}] 403 Forbidden for ${url}`);
           if (attempt < maxRetries) {
             await new Promise((resolve) => setTimeout(resolve, 2000 * attempt));
             continue;
           }
 
           // After retries, assume valid if we can determine MIME type
-          console.warn(`⚠️ Bypassing validation after multiple 403s for ${url}`);
-          return {
-            isValid: FileValidator.isValidFileType(mimeType),
-            contentType: mimeType,
-          };
+          logger.warn(`Bypassing validation after multiple 403s for ${url}`);
+          const reason = policy.check(mimeType);
+          return { isValid: !reason, contentType: mimeType, reason };
         }
 
         throw new Error(`URL validation failed with status ${res.status}`);
       } catch (err) {
-        console.warn(`Attempt ${attempt} failed: ${err.message}`);
+        logger.warn(`Attempt ${attempt} failed: ${err.message}`);
         if (attempt === maxRetries) {
           throw new Error(`URL validation failed: ${err.message}`);
         }
@@ -50,45 +110,62 @@ class FileValidator {
     }
   }
 
-  static isValidFileType(contentType) {
-    // List of allowed MIME types
-    const allowedTypes = [
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/svg+xml',
-      'image/webp',
-      'image/bmp',
-      'image/tiff',
-      'image/heic',
-      'video/mp4',
-      'video/x-msvideo',
-      'video/quicktime',
-      'video/x-ms-wmv',
-      'video/x-matroska',
-      'video/webm',
-      'video/quicktime',
-      'audio/mpeg',
-      'audio/mp3',
-      'audio/wav',
-      'audio/aac',
-      'audio/ogg',
-      'audio/flac',
-      'application/rtf',
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain',
-      'text/plain',
-      'text/rtf',
-      'text/csv'
-    ];
-
-    return allowedTypes.includes(contentType?.toLowerCase());
+  static isValidFileType(contentType, policy = FilePolicy.DEFAULT) {
+    return !policy.check(contentType);
+  }
+
+  static isGenericType(contentType) {
+    return !contentType || GENERIC_TYPES.includes(contentType);
+  }
+
+  static async readHead(body, length) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of body) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= length) break;
+    }
+    return Buffer.concat(chunks).subarray(0, length);
+  }
+
+  static looksLikeText(buffer) {
+    if (buffer.length === 0) return false;
+    let control = 0;
+    for (const byte of buffer) {
+      if (byte === 0) return false;
+      if (byte < 9 || (byte > 13 && byte < 32)) control++;
+    }
+    return control / buffer.length < 0.05;
+  }
+
+  // Works out the type from the first bytes of the file. The file name is only used to tell apart formats
+  // that share a container (docx and xlsx are both zip files) and must agree with what the bytes say.
+  static sniffContentType(buffer, fileName) {
+    const nameType = mime.lookup(fileName) || null;
+    const signature = SIGNATURES.find(({ offset = 0, bytes }) =>
+      bytes.every((byte, index) => byte === null || buffer[offset + index] === byte)
+    );
+
+    if (signature) {
+      const containerTypes = CONTAINERS[signature.type];
+      if (containerTypes && containerTypes.includes(nameType)) return nameType;
+      if (signature.type === 'video/mp4') return FileValidator.getFtypType(buffer);
+      return signature.type;
+    }
+
+    if (FileValidator.looksLikeText(buffer)) {
+      return nameType && TEXT_TYPES.some((type) => nameType.startsWith(type)) ? nameType : 'text/plain';
+    }
+    return 'application/octet-stream';
+  }
+
+  // ISO media files share the `ftyp` box; its brand tells images, QuickTime and MP4 apart
+  static getFtypType(buffer) {
+    const brand = buffer.subarray(8, 12).toString('latin1');
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
   }
 }
 
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./Logger');
+
+const logger = new Logger({ component: 'job-store' });
+
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  get(key) {
+    return this.jobs.get(String(key)) || null;
+  }
+
+  set(key, job) {
+    this.jobs.set(String(key), job);
+  }
+
+  delete(key) {
+    this.jobs.delete(String(key));
+  }
+
+  values() {
+    return [...this.jobs.values()];
+  }
+
+  flush() {}
+}
+
+class FileJobStore extends MemoryJobStore {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(__dirname, '../../data/jobs.json');
+    this.flushDelay = options.flushDelay || 250; // Batch writes from busy queue loops
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, job] of Object.entries(stored)) {
+        this.jobs.set(key, job);
+      }
+      logger.info(`Loaded ${this.jobs.size} jobs from ${this.filePath}`);
+    } catch (err) {
+      logger.error(`Failed to load job store ${this.filePath}`, err);
+    }
+  }
+
+  set(key, job) {
+    super.set(key, job);
+    this.scheduleFlush();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write then rename so a crash mid-write never leaves a truncated store behind
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.jobs)));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      logger.error(`Failed to write job store ${this.filePath}`, err);
+    }
+  }
+}
+
+const drivers = {
+  memory: MemoryJobStore,
+  file: FileJobStore,
+};
+
+function createJobStore(options = {}) {
+  const driver = options.driver || process.env.JOB_STORE_DRIVER || 'file';
+  const Store = typeof driver === 'function' ? driver : drivers[driver];
+  if (!Store) {
+    throw new Error(`Unknown job store driver: ${driver}`);
+  }
+
+  const store = new Store(options);
+  process.on('exit', () => store.flush());
+  return store;
+}
+
+module.exports = {
+  MemoryJobStore,
+  FileJobStore,
+  createJobStore,
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const SECRET_KEYS = /token|authorization|secret|password|api[-_]?key|cookie/i;
+// Signed asset URLs carry their credentials in the query string
+const URL_QUERY = /(https?:\/\/[^\s"'?#]+)\?[^\s"']*/g;
+const BEARER = /Bearer\s+[\w.~+/=-]+/gi;
+const JWT = /eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+// Holds the correlation id (and any ids added along the way) for everything running on behalf of one request
+const storage = new AsyncLocalStorage();
+
+// Writes one JSON object per line, with the current correlation context and with secrets redacted
+class Logger {
+  constructor(bindings = {}, options = {}) {
+    this.bindings = bindings;
+    this.level = options.level || process.env.LOG_LEVEL || 'info';
+    this.output =
+      options.output ||
+      ((level, line) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+  }
+
+  static newCorrelationId() {
+    return crypto.randomUUID();
+  }
+
+  static getContext() {
+    return storage.getStore() || {};
+  }
+
+  // Runs `fn` with the given fields added to the current context
+  static runWithContext(context, fn) {
+    return storage.run({ ...Logger.getContext(), ...context }, fn);
+  }
+
+  // Work that is queued runs later from someone else's context, so it is bound to the caller's context up front
+  static bindContext(fn) {
+    const context = Logger.getContext();
+    return (...args) => storage.run(context, () => fn(...args));
+  }
+
+  static redactString(text) {
+    return text.replace(URL_QUERY, `$1?${REDACTED}`).replace(BEARER, `Bearer ${REDACTED}`).replace(JWT, REDACTED);
+  }
+
+  static serializeError(err) {
+    return { name: err.name, message: err.message, code: err.code, status: err.status, stack: err.stack };
+  }
+
+  static redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return Logger.redactString(value);
+    if (value instanceof Error) return Logger.redact(Logger.serializeError(value), depth, seen);
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH || seen.has(value)) return '[Truncated]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map((entry) => Logger.redact(entry, depth + 1, seen));
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        SECRET_KEYS.test(key) && entry ? REDACTED : Logger.redact(entry, depth + 1, seen),
+      ])
+    );
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, { level: this.level, output: this.output });
+  }
+
+  // `fields` is an object of extra fields, or an error which is logged as `err`
+  log(level, message, fields) {
+    if (LEVELS[level] < (LEVELS[this.level] || LEVELS.info)) return;
+
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...this.bindings,
+      ...Logger.getContext(),
+      msg: message,
+      ...extra,
+    };
+    this.output(level, JSON.stringify(Logger.redact(entry)));
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+module.exports = Logger;
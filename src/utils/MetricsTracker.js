@@ -2,7 +2,10 @@
 class MetricsTracker {
   constructor() {
     this.metrics = new Map();
-    this.resetInterval = setInterval(() => this.resetCounters(), 3600000);
+    // Prometheus series are cumulative, so they are never reset
+    this.counters = new Map();
+    this.histograms = new Map();
+    this.defineCounter('app_events_total', 'Events recorded by track(), by category and event');
   }
 
   track(category, event, metadata = {}) {
@@ -25,6 +28,7 @@ class MetricsTracker {
     if (metadata.duration) metric.totalTime += metadata.duration;
     
     metric.lastUpdate = Date.now();
+    this.increment('app_events_total', { category, event });
   }
 
   getMetrics(category) {
@@ -37,6 +41,75 @@ class MetricsTracker {
     return results;
   }
 
+  defineCounter(name, help) {
+    this.counters.set(name, { help, series: new Map() });
+  }
+
+  defineHistogram(name, help, buckets) {
+    this.histograms.set(name, { help, buckets: [...buckets].sort((a, b) => a - b), series: new Map() });
+  }
+
+  increment(name, labels = {}, value = 1) {
+    if (!this.counters.has(name)) this.defineCounter(name, name);
+
+    const { series } = this.counters.get(name);
+    const key = MetricsTracker.formatLabels(labels);
+    series.set(key, (series.get(key) || 0) + value);
+  }
+
+  observe(name, labels = {}, value) {
+    const histogram = this.histograms.get(name);
+    if (!histogram || !Number.isFinite(value)) return;
+
+    const key = MetricsTracker.formatLabels(labels);
+    if (!histogram.series.has(key)) {
+      histogram.series.set(key, { labels, counts: histogram.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = histogram.series.get(key);
+    histogram.buckets.forEach((bucket, index) => {
+      if (value <= bucket) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  static escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  }
+
+  static formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${MetricsTracker.escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  // Renders counters and histograms in the Prometheus text exposition format
+  toPrometheus() {
+    const lines = [];
+
+    for (const [name, { help, series }] of this.counters.entries()) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+      for (const [labels, value] of series.entries()) {
+        lines.push(`${name}${labels} ${value}`);
+      }
+    }
+
+    for (const [name, { help, buckets, series }] of this.histograms.entries()) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bucket, index) => {
+          lines.push(`${name}_bucket${MetricsTracker.formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${MetricsTracker.formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${MetricsTracker.formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${MetricsTracker.formatLabels(labels)} ${count}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
   resetCounters() {
     for (const metric of this.metrics.values()) {
       metric.count = 0;
@@ -45,10 +118,6 @@ class MetricsTracker {
       metric.totalTime = 0;
     }
   }
-
-  cleanup() {
-    clearInterval(this.resetInterval);
-  }
 }
 
 module.exports = MetricsTracker;
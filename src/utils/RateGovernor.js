@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken');
+const Logger = require('./Logger');
+
+const logger = new Logger({ component: 'rate-governor' });
+
+const COMPLEXITY_FIELD = 'complexity { before after query reset_in_x_seconds }';
+
+// Tracks monday's complexity budget per account and holds calls back until the budget resets,
+// instead of letting them fail and be retried blindly.
+class RateGovernor {
+  constructor(options = {}) {
+    this.reserve = options.reserve || 100000; // Budget kept free for other callers on the account
+    this.defaultCost = options.defaultCost || 10000;
+    this.defaultRetryIn = options.defaultRetryIn || 60; // Seconds to wait when monday does not say
+    this.maxRetries = options.maxRetries || 3;
+    this.accounts = new Map();
+  }
+
+  // OAuth and short-lived tokens carry the account id; anything else shares one bucket
+  static getAccountKey(token) {
+    const decoded = token ? jwt.decode(String(token).replace(/^Bearer\s+/i, '')) : null;
+    return String(decoded?.actid || decoded?.accountId || 'default');
+  }
+
+  // Adds the complexity block to a query or mutation so every response reports the remaining budget
+  static withComplexity(query) {
+    if (query.includes('complexity {')) return query;
+    const end = query.lastIndexOf('}');
+    return `${query.slice(0, end)}  ${COMPLEXITY_FIELD}\n${query.slice(end)}`;
+  }
+
+  getState(account) {
+    if (!this.accounts.has(account)) {
+      this.accounts.set(account, { remaining: null, resetAt: 0, lastCost: null, throttledUntil: 0 });
+    }
+    return this.accounts.get(account);
+  }
+
+  async waitForBudget(account, cost) {
+    const state = this.getState(account);
+    const now = Date.now();
+
+    let waitUntil = state.throttledUntil;
+    if (state.remaining !== null && state.remaining - cost < this.reserve && state.resetAt > now) {
+      waitUntil = Math.max(waitUntil, state.resetAt);
+    }
+
+    if (waitUntil > now) {
+      logger.info(`Waiting ${Math.ceil((waitUntil - now) / 1000)}s for the complexity budget of account ${account}`);
+      await new Promise((resolve) => setTimeout(resolve, waitUntil - now));
+    }
+  }
+
+  // Returns the number of ms to wait when the response says the budget or rate limit was hit
+  record(account, body, headers) {
+    const state = this.getState(account);
+    const now = Date.now();
+    const complexity = body?.data?.complexity;
+
+    if (complexity) {
+      state.remaining = complexity.after;
+      state.lastCost = complexity.query;
+      state.resetAt = now + complexity.reset_in_x_seconds * 1000;
+    }
+
+    const errors = [...(body?.errors || []), ...(body?.error_code ? [body] : [])];
+    const limitError = errors.find((error) => {
+      const code = error.extensions?.code || error.error_code || '';
+      const message = error.message || error.error_message || '';
+      return /complexity|rate_limit|ratelimit/i.test(code) || /complexity budget|rate limit/i.test(message);
+    });
+    if (!limitError) return 0;
+
+    const message = limitError.message || limitError.error_message || '';
+    const retryAfterHeader = Number(headers?.get ? headers.get('retry-after') : headers?.['retry-after']);
+    const retryIn =
+      Number(limitError.extensions?.retry_in_seconds) ||
+      Number(limitError.error_data?.retry_in_seconds) ||
+      Number(message.match(/reset in (\d+) seconds?/i)?.[1]) ||
+      retryAfterHeader ||
+      this.defaultRetryIn;
+
+    state.remaining = 0;
+    state.throttledUntil = now + retryIn * 1000;
+    state.resetAt = Math.max(state.resetAt, state.throttledUntil);
+    return retryIn * 1000;
+  }
+
+  // `operation` performs one GraphQL request and resolves to the parsed body, or to { body, headers }
+  // when response headers are available
+  async execute(token, operation, options = {}) {
+    const account = RateGovernor.getAccountKey(token);
+    const maxRetries = options.maxRetries ?? this.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      const state = this.getState(account);
+      await this.waitForBudget(account, options.cost || state.lastCost || this.defaultCost);
+
+      const result = await operation();
+      const { body, headers } = result && 'body' in result ? result : { body: result };
+      const retryInMs = this.record(account, body, headers);
+      if (!retryInMs) return body;
+
+      if (attempt >= maxRetries) {
+        const error = new Error(
+          `Complexity budget exhausted for account ${account}, reset in ${retryInMs / 1000} seconds`
+        );
+        error.code = 'COMPLEXITY_BUDGET_EXHAUSTED';
+        error.retryAfterMs = retryInMs;
+        throw error;
+      }
+      logger.info(`Complexity budget exhausted for account ${account}, retrying in ${retryInMs / 1000}s`);
+    }
+  }
+}
+
+module.exports = RateGovernor;
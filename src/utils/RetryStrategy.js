@@ -1,3 +1,7 @@
+const Logger = require('./Logger');
+
+const logger = new Logger({ component: 'retry-strategy' });
+
 class RetryStrategy {
   constructor(options = {}) {
     this.baseDelay = options.baseDelay || 2000; // Increased base delay
@@ -29,13 +33,13 @@ class RetryStrategy {
       try {
         const result = await operation();
         if (context.checkPublicUrl && !result?.data?.assets?.[0]?.public_url) {
-          console.log(`Attempt ${attempt + 1}/${this.maxRetries}: Public URL undefined`);
+          logger.info(`Attempt ${attempt + 1}/${this.maxRetries}: Public URL undefined`);
           attempt++;
           if (attempt > this.maxRetries) {
             throw new Error('Max retries reached: Failed to get public URL');
           }
           const delay = this.calculateDelay(attempt, 'standard');
-          console.log(`Waiting ${delay / 1000}s before retry...`);
+          logger.info(`Waiting ${delay / 1000}s before retry...`);
           await new Promise((resolve) => setTimeout(resolve, delay));
           continue;
         }
@@ -44,15 +48,19 @@ class RetryStrategy {
         lastError = error;
         attempt++;
 
+        if (context.isRetryable && !context.isRetryable(error)) {
+          throw error;
+        }
+
         if (attempt > this.maxRetries) {
-          console.error(`Max retries (${this.maxRetries}) reached:`, error.message);
+          logger.error(`Max retries (${this.maxRetries}) reached`, error);
           throw lastError;
         }
 
         const errorType = error.message.includes('Complexity budget') ? 'complexity' : 'standard';
         const delay = this.calculateDelay(attempt, errorType);
 
-        console.log(`Retry attempt ${attempt}/${this.maxRetries} after ${delay}ms: ${error.message}`);
+        logger.info(`Retry attempt ${attempt}/${this.maxRetries} after ${delay}ms: ${error.message}`);
         await new Promise((resolve) => setTimeout(resolve, delay));
       }
     }
@@ -0,0 +1,67 @@
+const FileFilter = require('./FileFilter');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class UpdateFilter {
+  constructor(options = {}) {
+    this.creatorIds = (options.creatorIds || []).map(String);
+    this.from = options.from || null;
+    this.to = options.to || null;
+    this.keywords = (options.keywords || []).map((keyword) => keyword.toLowerCase());
+  }
+
+  static fromInputFields(inputFields = {}) {
+    return new UpdateFilter({
+      creatorIds: UpdateFilter.parseCreators(inputFields.creatorIds),
+      from: UpdateFilter.parseDate(inputFields.fromDate),
+      to: UpdateFilter.parseDate(inputFields.toDate, { endOfDay: true }),
+      keywords: FileFilter.parseList(inputFields.keywords),
+    });
+  }
+
+  // People fields arrive as { personsAndTeams: [{ id, kind }] }, plain ids or comma separated text
+  static parseCreators(value) {
+    if (value?.personsAndTeams) {
+      return value.personsAndTeams.filter((entry) => entry.kind !== 'team').map((entry) => entry.id);
+    }
+    return FileFilter.parseList(Array.isArray(value) ? value : value && String(value));
+  }
+
+  // Date fields arrive as { date: 'YYYY-MM-DD' } or as text; a bare date in `to` covers the whole day
+  static parseDate(value, { endOfDay = false } = {}) {
+    const text = value?.date || value;
+    if (!text) return null;
+
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) return null;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(text).trim()) ? time + DAY - 1 : time;
+  }
+
+  static stripHtml(body) {
+    return String(body || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .toLowerCase();
+  }
+
+  // Returns the reason an update is left out, or null when its files should be copied
+  check(update) {
+    if (this.creatorIds.length > 0 && !this.creatorIds.includes(String(update.creator_id))) {
+      return 'Created by another user';
+    }
+
+    const createdAt = Date.parse(update.created_at);
+    if (this.from && !(createdAt >= this.from)) return 'Created before the date window';
+    if (this.to && !(createdAt <= this.to)) return 'Created after the date window';
+
+    if (this.keywords.length > 0) {
+      const body = UpdateFilter.stripHtml(update.body);
+      if (!this.keywords.some((keyword) => body.includes(keyword))) return 'Body does not contain a keyword';
+    }
+
+    return null;
+  }
+}
+
+module.exports = UpdateFilter;